@@ -0,0 +1,4502 @@
+import crypto from "node:crypto";
+import express from "express";
+import cors from "cors";
+import { ObjectId } from "mongodb";
+import {
+  CHALLENGE_STATUS,
+  assertTransition,
+  normalizeStatus,
+} from "./utils/challengeStatus.js";
+import {
+  challengeSchema,
+  commentSchema,
+  eventSchema,
+  progressSchema,
+  teamSchema,
+  tipSchema,
+  validateBody,
+} from "./utils/validate.js";
+import { findPage, parseListQuery, sendPage } from "./utils/paginate.js";
+import { buildSnippet, searchTerms, textFilter } from "./utils/search.js";
+import {
+  LEADERBOARD_METRICS,
+  LEADERBOARD_PERIODS,
+  createLeaderboards,
+} from "./utils/leaderboard.js";
+import { BADGES, checkBadges } from "./utils/badges.js";
+import {
+  blockingDays,
+  buildCalendar,
+  computeStreaks,
+  isValidTimeZone,
+  localDay,
+} from "./utils/checkIns.js";
+import { ROLES, attachAccount, requireRole } from "./utils/roles.js";
+import {
+  NOTIFICATION_KINDS,
+  createNotifier,
+  resolvePreferences,
+  syncScheduledNotifications,
+} from "./utils/notifications.js";
+import {
+  STATIC_TOPICS,
+  createLiveEvents,
+  isValidTopic,
+} from "./utils/liveEvents.js";
+import { buildICalendar, sendICalendar, toCalendarDate } from "./utils/ical.js";
+import { sendExportZip } from "./utils/exportData.js";
+import {
+  MAX_TEAM_MEMBERS,
+  TEAM_ROLES,
+  generateInviteCode,
+  isTeamOwner,
+  normalizeInviteCode,
+  requireTeam,
+  teamMember,
+  teamView,
+} from "./utils/teams.js";
+import {
+  applyGeoPoint,
+  geoFilter,
+  parseGeoQuery,
+  sortByDistance,
+} from "./utils/geo.js";
+import {
+  expandOccurrences,
+  occurrenceView,
+  parseRecurrence,
+  parseWindow,
+  resolveOccurrence,
+} from "./utils/recurrence.js";
+import { requireOwnedDocument, requireSelf } from "./utils/ownership.js";
+import { MemoryStore, MongoStore, rateLimit } from "./utils/rateLimit.js";
+import { logger, requestContext, requestLogger } from "./utils/logger.js";
+import {
+  NotFoundError,
+  errorHandler,
+  notFoundHandler,
+} from "./utils/errors.js";
+
+//  Middleware for token verification - Firebase, or the local dev verifier
+async function verifyFirebaseToken(req, res, next) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader?.startsWith("Bearer ")) {
+    return res.status(401).json({ message: "Unauthorized - Missing Token" });
+  }
+
+  const token = authHeader.split(" ")[1];
+  try {
+    const decoded = await req.app.locals.verifyToken(token);
+    req.user = decoded;
+  } catch (error) {
+    logger.warn("Token verification failed", error);
+    return res.status(403).json({ message: "Invalid or expired token" });
+  }
+
+  try {
+    // role + ban state from the users collection
+    await attachAccount(req, req.app.locals.users);
+  } catch (error) {
+    return next(error);
+  }
+
+  // banned users keep read access only
+  if (req.user.banned && req.method !== "GET") {
+    return res.status(403).json({
+      message: "Forbidden - Your account has been banned",
+      reason: req.user.banReason,
+    });
+  }
+
+  next();
+}
+
+// Same as verifyFirebaseToken, but lets anonymous requests through
+async function optionalFirebaseToken(req, res, next) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader?.startsWith("Bearer ")) return next();
+
+  try {
+    req.user = await req.app.locals.verifyToken(authHeader.split(" ")[1]);
+    await attachAccount(req, req.app.locals.users);
+  } catch (error) {
+    logger.warn("Optional token verification failed", error);
+  }
+  next();
+}
+
+/**
+ * Build the API on top of a Mongo `Db`. Nothing here reads credentials or
+ * opens connections, so tests can pass an in-memory database - started as
+ * a replica set (e.g. a single-node MongoMemoryReplSet): joining, leaving,
+ * completing and team enrollment run in transactions, and the live event
+ * stream watches a change stream - both of which a standalone server
+ * rejects. Caches and live subscribers belong to the app, so every call
+ * starts clean.
+ * - verifyToken(token): resolves to decoded claims ({ uid, email, name }) or throws
+ * - deleteUser(uid): removes the sign-in account when a user deletes theirs
+ */
+export async function createApp({
+  db,
+  verifyToken,
+  deleteUser = async () => {},
+}) {
+  const app = express();
+  // sessions for multi-document transactions
+  const client = db.client;
+  // the auth middleware verifies tokens through this
+  app.locals.verifyToken = verifyToken;
+
+  // --- Middleware ---
+  // Vercel sits in front of us - req.ip comes from X-Forwarded-For
+  app.set("trust proxy", 1);
+  app.use(requestLogger);
+  app.use(cors({ exposedHeaders: ["Retry-After", "RateLimit-Remaining"] }));
+  app.use(express.json());
+  app.use(requestContext);
+
+  // Rate limits per route group - swapped for MongoStore when configured
+  let rateLimitStore = new MemoryStore();
+  const getRateLimitStore = () => rateLimitStore;
+  const MINUTE = 60 * 1000;
+  const limits = {
+    content: rateLimit(
+      "content",
+      { user: 10, ip: 30, windowMs: 60 * MINUTE },
+      getRateLimitStore
+    ),
+    votes: rateLimit(
+      "votes",
+      { user: 30, ip: 60, windowMs: MINUTE },
+      getRateLimitStore
+    ),
+    joins: rateLimit(
+      "joins",
+      { user: 20, ip: 60, windowMs: 10 * MINUTE },
+      getRateLimitStore
+    ),
+    comments: rateLimit(
+      "comments",
+      { user: 20, ip: 60, windowMs: 10 * MINUTE },
+      getRateLimitStore
+    ),
+    reports: rateLimit(
+      "reports",
+      { user: 10, ip: 30, windowMs: 60 * MINUTE },
+      getRateLimitStore
+    ),
+  };
+
+  // Collections
+  const users = db.collection("users");
+  const challenges = db.collection("challenges");
+  const userChallenges = db.collection("userChallenges");
+  const tips = db.collection("tips");
+  const events = db.collection("events");
+  const livestatics = db.collection("livestatics");
+  // the auth middleware reads roles from here
+  app.locals.users = users;
+  const eventRsvps = db.collection("eventRsvps");
+  const impactLedger = db.collection("impactLedger");
+  const userBadges = db.collection("userBadges");
+  const reports = db.collection("reports");
+  const comments = db.collection("comments");
+  const notifications = db.collection("notifications");
+  const teams = db.collection("teams");
+  const teamChallenges = db.collection("teamChallenges");
+
+  if (process.env.RATE_LIMIT_STORE === "mongo") {
+    const store = new MongoStore(db.collection("rateLimits"));
+    await store.init();
+    rateLimitStore = store;
+  }
+
+  // one RSVP per user per event - per occurrence for recurring events.
+  // The older { eventId, email } index is dropped by
+  // scripts/migrate-rsvp-index.js; until then series RSVPs can clash.
+  await eventRsvps.createIndex(
+    { eventId: 1, occurrence: 1, email: 1 },
+    { unique: true }
+  );
+  if (await eventRsvps.indexExists("eventId_1_email_1")) {
+    logger.warn(
+      'Legacy eventRsvps index found, run "npm run migrate:rsvps" to drop it'
+    );
+  }
+  // one userChallenges record per user per challenge - joins rely on it,
+  // so existing duplicates stop the app until scripts/dedupe-joins.js ran
+  await userChallenges
+    .createIndex({ email: 1, challengeId: 1 }, { unique: true })
+    .catch((error) => {
+      if (error.code !== 11000) throw error;
+      throw new Error(
+        `userChallenges has duplicate joins, run "npm run migrate:joins" first (${error.message})`
+      );
+    });
+
+  await impactLedger.createIndex({ email: 1, createdAt: 1 });
+
+  await userBadges.createIndex({ email: 1, badgeId: 1 }, { unique: true });
+
+  // calendar feed lookups - only users with a feed have a token
+  await users.createIndex(
+    { calendarTokenHash: 1 },
+    { unique: true, sparse: true }
+  );
+
+  // one report per user per item, queue grouped by open reports
+  await reports.createIndex(
+    { itemType: 1, itemId: 1, email: 1 },
+    { unique: true }
+  );
+  await reports.createIndex({ status: 1, itemType: 1 });
+
+  // comment threads and reply lookups
+  await comments.createIndex({ parentType: 1, parentId: 1, depth: 1 });
+  await comments.createIndex({ rootId: 1 });
+  await comments.createIndex({ parentCommentId: 1 });
+
+  // notification feed; `key` dedupes scheduled notifications
+  await notifications.createIndex({ email: 1, createdAt: -1 });
+  await notifications.createIndex(
+    { email: 1, key: 1 },
+    { unique: true, partialFilterExpression: { key: { $exists: true } } }
+  );
+
+  // join-by-code lookups, "my teams", one entry per team per challenge
+  await teams.createIndex({ inviteCode: 1 }, { unique: true });
+  await teams.createIndex({ "members.email": 1 });
+  await teams.createIndex({ "invites.email": 1 });
+  await teamChallenges.createIndex(
+    { teamId: 1, challengeId: 1 },
+    { unique: true }
+  );
+  await teamChallenges.createIndex({ challengeId: 1 });
+
+  // one completion row per user per challenge
+  await livestatics
+    .createIndex({ email: 1, challengeId: 1 }, { unique: true })
+    .catch((error) =>
+      logger.error("livestatics unique index not created", error)
+    );
+
+  // leaderboard aggregations
+  await Promise.all([
+    impactLedger.createIndex({ createdAt: 1, category: 1 }),
+    livestatics.createIndex({ finishedAt: 1, category: 1 }),
+  ]);
+
+  // text indexes behind /api/search and the `q` list parameter
+  await Promise.all([
+    challenges.createIndex(
+      { title: "text", description: "text" },
+      { name: "challenges_text", weights: { title: 3, description: 1 } }
+    ),
+    tips.createIndex(
+      { title: "text", content: "text" },
+      { name: "tips_text", weights: { title: 3, content: 1 } }
+    ),
+    events.createIndex(
+      { title: "text", location: "text" },
+      { name: "events_text", weights: { title: 3, location: 1 } }
+    ),
+  ]).catch((error) => logger.error("Text indexes not created", error));
+  // "near me" and map queries on event coordinates
+  await events
+    .createIndex({ geo: "2dsphere" })
+    .catch((error) => logger.error("events geo index not created", error));
+
+  logger.info("MongoDB connected successfully");
+
+  const notify = createNotifier({ notifications, users });
+  const liveEvents = createLiveEvents(db.collection("liveEvents"));
+  await liveEvents.init();
+  const { publish, subscribe } = liveEvents;
+  const leaderboards = createLeaderboards({
+    livestatics,
+    impactLedger,
+    teamChallenges,
+  });
+
+  async function getGlobalStats() {
+    const totalUsers = await users.countDocuments();
+    const totalJoined = await userChallenges.countDocuments();
+    const totalCompleted = await userChallenges.countDocuments({
+      status: CHALLENGE_STATUS.COMPLETED,
+    });
+    return { totalUsers, totalJoined, totalCompleted };
+  }
+
+  // push fresh counts to live subscribers - never fails the request
+  async function broadcastStats() {
+    try {
+      await publish("stats", await getGlobalStats());
+    } catch (error) {
+      logger.error("Live stats broadcast failed", error);
+    }
+  }
+
+  // `occurrence` narrows an event update to one date of a series
+  async function broadcastParticipants(type, id, occurrence = null) {
+    try {
+      if (type === "challenge") {
+        const doc = await challenges.findOne(
+          { _id: id },
+          { projection: { participants: 1 } }
+        );
+        await publish(`challenge:${id}`, {
+          participants: doc?.participants || 0,
+        });
+      } else {
+        const field = seatField(occurrence);
+        const doc = await events.findOne(
+          { _id: id },
+          { projection: { [field]: 1, capacity: 1 } }
+        );
+        const waitlisted = await eventRsvps.countDocuments({
+          eventId: id,
+          occurrence,
+          status: "waitlisted",
+        });
+        await publish(`event:${id}`, {
+          ...(occurrence && { occurrence }),
+          currentParticipants: occurrence
+            ? doc?.occurrenceParticipants?.[occurrence] || 0
+            : doc?.currentParticipants || 0,
+          capacity: doc?.capacity || null,
+          waitlisted,
+        });
+      }
+    } catch (error) {
+      logger.error("Live participants broadcast failed", error);
+    }
+  }
+
+  // award any badges the user just earned - never fails the request
+  async function awardBadges(email, types) {
+    try {
+      const awarded = await checkBadges(
+        email,
+        { livestatics, userChallenges, tips, userBadges },
+        types
+      );
+      for (const badge of awarded) {
+        await notify(email, "badge_earned", {
+          title: `Badge earned: ${badge.name}`,
+          message: badge.description,
+          link: "/badges",
+        });
+      }
+      return awarded;
+    } catch (error) {
+      logger.error("Badge check failed", error);
+      return [];
+    }
+  }
+
+  // seat counter of a single event, or of one occurrence of a series
+  // (capacity is per occurrence)
+  const seatField = (occurrence) =>
+    occurrence ? `occurrenceParticipants.${occurrence}` : "currentParticipants";
+
+  // take a seat only while there is room (no capacity = unlimited)
+  async function takeSeat(eventId, occurrence = null) {
+    const field = seatField(occurrence);
+    const seat = await events.updateOne(
+      {
+        _id: eventId,
+        $or: [
+          { capacity: { $in: [null, 0] } },
+          {
+            $expr: {
+              $lt: [{ $ifNull: [`$${field}`, 0] }, "$capacity"],
+            },
+          },
+        ],
+      },
+      { $inc: { [field]: 1 } }
+    );
+    return seat.modifiedCount === 1;
+  }
+
+  // move waitlisted users in while seats are free (after a capacity raise)
+  async function fillOpenSeats(eventId, occurrence = null) {
+    const waiting = { eventId, occurrence, status: "waitlisted" };
+    while (await eventRsvps.findOne(waiting)) {
+      if (!(await takeSeat(eventId, occurrence))) break;
+
+      const promoted = await eventRsvps.findOneAndUpdate(
+        waiting,
+        { $set: { status: "going", promotedAt: new Date() } },
+        { sort: { joinedAt: 1 }, returnDocument: "after" }
+      );
+      if (!promoted) {
+        // someone left the waitlist in between - give the seat back
+        await events.updateOne(
+          { _id: eventId },
+          { $inc: { [seatField(occurrence)]: -1 } }
+        );
+        break;
+      }
+      await notify(promoted.email, "event_promoted", {
+        title: "You got a spot!",
+        message: "More places opened up and you are now going.",
+        link: `/events/${eventId}`,
+      });
+    }
+    await broadcastParticipants("event", eventId, occurrence);
+  }
+
+  // tell everyone holding an RSVP (going or waitlisted) about a change -
+  // pass `occurrence` to reach one date of a series only
+  async function notifyRsvps(eventId, kind, payload, occurrence) {
+    const filter = { eventId };
+    if (occurrence !== undefined) filter.occurrence = occurrence;
+    const rsvps = await eventRsvps
+      .find(filter, { projection: { email: 1 } })
+      .toArray();
+    for (const rsvp of rsvps) await notify(rsvp.email, kind, payload);
+  }
+
+  // give up an event seat - promotes the first waitlisted user
+  async function releaseRsvp(rsvp) {
+    const occurrence = rsvp.occurrence || null;
+    let promoted = null;
+    if (rsvp.status === "going") {
+      promoted = await eventRsvps.findOneAndUpdate(
+        { eventId: rsvp.eventId, occurrence, status: "waitlisted" },
+        { $set: { status: "going", promotedAt: new Date() } },
+        { sort: { joinedAt: 1 }, returnDocument: "after" }
+      );
+      if (!promoted) {
+        await events.updateOne(
+          { _id: rsvp.eventId },
+          { $inc: { [seatField(occurrence)]: -1 } }
+        );
+      } else {
+        await notify(promoted.email, "event_promoted", {
+          title: "You got a spot!",
+          message: "A place opened up and you are now going.",
+          link: `/events/${rsvp.eventId}`,
+        });
+      }
+    }
+
+    await broadcastParticipants("event", rsvp.eventId, occurrence);
+    return promoted;
+  }
+
+  // remove everything that hangs off a deleted challenge
+  async function deleteChallengeCascade(challengeId) {
+    await Promise.all([
+      userChallenges.deleteMany({ challengeId }),
+      livestatics.deleteMany({ challengeId }),
+      impactLedger.deleteMany({ challengeId }),
+      comments.deleteMany({
+        parentType: "challenges",
+        parentId: challengeId,
+      }),
+      reports.deleteMany({ itemType: "challenges", itemId: challengeId }),
+      teamChallenges.deleteMany({ challengeId }),
+    ]);
+    await broadcastStats();
+  }
+
+  // remove the comments and reports of a deleted tip
+  async function deleteTipCascade(tipId) {
+    await Promise.all([
+      comments.deleteMany({ parentType: "tips", parentId: tipId }),
+      reports.deleteMany({ itemType: "tips", itemId: tipId }),
+    ]);
+  }
+
+  /**
+   * Delete or anonymize every record tied to a user.
+   * Personal records are deleted; community content (tips, comments,
+   * challenges, events) stays but loses the author's identity.
+   */
+  async function deleteUserData(email) {
+    // leave joined challenges so participant counts stay correct
+    const joined = await userChallenges
+      .find({ email }, { projection: { challengeId: 1 } })
+      .toArray();
+    await challenges.updateMany(
+      {
+        _id: { $in: joined.map((uc) => uc.challengeId) },
+        participants: { $gt: 0 },
+      },
+      { $inc: { participants: -1 } }
+    );
+
+    // give up event seats before the RSVPs go away
+    const rsvps = await eventRsvps.find({ email }).toArray();
+    await eventRsvps.deleteMany({ email });
+    for (const rsvp of rsvps) await releaseRsvp(rsvp);
+
+    // take back votes so counts match the remaining voters
+    for (const collection of [tips, comments]) {
+      await collection.updateMany(
+        { upvotedUsers: email },
+        { $pull: { upvotedUsers: email }, $inc: { upvotes: -1 } }
+      );
+    }
+
+    const anonymous = { $set: { authorName: "Deleted user" } };
+    await Promise.all([
+      userChallenges.deleteMany({ email }),
+      livestatics.deleteMany({ email }),
+      impactLedger.deleteMany({ email }),
+      userBadges.deleteMany({ email }),
+      notifications.deleteMany({ email }),
+      reports.deleteMany({ email }),
+      tips.updateMany(
+        { author: email },
+        { ...anonymous, $unset: { author: "" } }
+      ),
+      comments.updateMany(
+        { author: email },
+        { ...anonymous, $unset: { author: "" } }
+      ),
+      challenges.updateMany(
+        { createdBy: email },
+        { $unset: { createdBy: "" } }
+      ),
+      events.updateMany({ organizer: email }, { $unset: { organizer: "" } }),
+    ]);
+
+    // teams go on without the user (or go away if they were the last one)
+    await teams.updateMany(
+      { "invites.email": email },
+      { $pull: { invites: { email } } }
+    );
+    await Promise.all([
+      teams.updateMany({ createdBy: email }, { $unset: { createdBy: "" } }),
+      teams.updateMany(
+        { "invites.invitedBy": email },
+        { $unset: { "invites.$[invite].invitedBy": "" } },
+        { arrayFilters: [{ "invite.invitedBy": email }] }
+      ),
+      teamChallenges.updateMany(
+        { joinedBy: email },
+        { $unset: { joinedBy: "" } }
+      ),
+    ]);
+    const memberships = await teams.find({ "members.email": email }).toArray();
+    for (const team of memberships) await removeTeamMember(team, email);
+
+    await users.deleteOne({ email });
+    await broadcastStats();
+  }
+
+  // a fresh userChallenges record - userId comes from the account,
+  // never from the request
+  function newUserChallenge(email, account, challenge, extra = {}) {
+    return {
+      email,
+      userId: account ? account._id.toString() : null,
+      challengeId: challenge._id,
+      status: CHALLENGE_STATUS.NOT_STARTED,
+      progress: 0,
+      completedSteps: [],
+      totalActions: Number(challenge?.totalActions) || 0,
+      joinDate: new Date(),
+      lastUpdated: new Date(),
+      ...extra,
+    };
+  }
+
+  /**
+   * Join team members to a challenge on the team's behalf. Members who
+   * already joined keep their own record. With `joinedBy` the team's own
+   * teamChallenges entry is written in the same transaction, so the team
+   * never counts as joined without its members. Returns the emails enrolled.
+   */
+  async function enrollTeamMembers(team, challenge, emails, { joinedBy } = {}) {
+    let enrolled = [];
+    const session = client.startSession();
+    try {
+      await session.withTransaction(async () => {
+        if (joinedBy) {
+          await teamChallenges.insertOne(
+            {
+              teamId: team._id,
+              challengeId: challenge._id,
+              joinedBy,
+              joinedAt: new Date(),
+            },
+            { session }
+          );
+        }
+
+        const existing = await userChallenges
+          .find(
+            { challengeId: challenge._id, email: { $in: emails } },
+            { projection: { email: 1 }, session }
+          )
+          .toArray();
+        enrolled = emails.filter(
+          (email) => !existing.some((uc) => uc.email === email)
+        );
+        if (enrolled.length === 0) return;
+
+        const accounts = await users
+          .find(
+            { email: { $in: enrolled } },
+            { projection: { email: 1 }, session }
+          )
+          .toArray();
+        await userChallenges.insertMany(
+          enrolled.map((email) =>
+            newUserChallenge(
+              email,
+              accounts.find((a) => a.email === email),
+              challenge,
+              { teamId: team._id }
+            )
+          ),
+          { session }
+        );
+        await challenges.updateOne(
+          { _id: challenge._id },
+          { $inc: { participants: enrolled.length } },
+          { session }
+        );
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    if (enrolled.length > 0) {
+      await broadcastStats();
+      await broadcastParticipants("challenge", challenge._id);
+    }
+    for (const email of enrolled) {
+      await notify(email, "challenge_joined", {
+        title: "Challenge joined",
+        message: `Your team "${team.name}" joined "${challenge.title}".`,
+        link: `/challenges/${challenge._id}`,
+      });
+    }
+    return enrolled;
+  }
+
+  // a new member takes part in every challenge the team already joined
+  async function enrollInTeamChallenges(team, email) {
+    const joined = await teamChallenges.find({ teamId: team._id }).toArray();
+    const running = await challenges
+      .find({ _id: { $in: joined.map((tc) => tc.challengeId) } })
+      .toArray();
+    for (const challenge of running) {
+      await enrollTeamMembers(team, challenge, [email]);
+    }
+  }
+
+  async function deleteTeam(teamId) {
+    await teams.deleteOne({ _id: teamId });
+    await teamChallenges.deleteMany({ teamId });
+  }
+
+  /**
+   * Take `email` out of a team. When the last owner goes the longest
+   * standing member takes over; a team nobody is left in is deleted.
+   * Returns the updated team, or null if it was deleted.
+   */
+  async function removeTeamMember(team, email) {
+    const remaining = team.members.filter((m) => m.email !== email);
+    if (remaining.length === 0) {
+      await deleteTeam(team._id);
+      return null;
+    }
+
+    await teams.updateOne({ _id: team._id }, { $pull: { members: { email } } });
+    if (!remaining.some((m) => m.role === "owner")) {
+      const [heir] = remaining.sort((a, b) => a.joinedAt - b.joinedAt);
+      await teams.updateOne(
+        { _id: team._id, "members.email": heir.email },
+        { $set: { "members.$.role": "owner" } }
+      );
+    }
+    return teams.findOne({ _id: team._id });
+  }
+
+  /**
+   * Add a member if there is room and they are not in yet. Returns the
+   * updated team, or null when the team is full or they already joined.
+   */
+  async function addTeamMember(team, user) {
+    const updated = await teams.findOneAndUpdate(
+      {
+        _id: team._id,
+        "members.email": { $ne: user.email },
+        $expr: { $lt: [{ $size: "$members" }, MAX_TEAM_MEMBERS] },
+      },
+      {
+        $push: {
+          members: {
+            email: user.email,
+            name: user.name || null,
+            role: "member",
+            joinedAt: new Date(),
+          },
+        },
+        $pull: { invites: { email: user.email } },
+      },
+      { returnDocument: "after" }
+    );
+    if (updated) await enrollInTeamChallenges(updated, user.email);
+    return updated;
+  }
+
+  // caller must own the userChallenges record in :id
+  const ownUserChallenge = requireOwnedDocument(userChallenges, {
+    as: "userChallenge",
+    label: "User challenge",
+  });
+
+  /**
+   * Mark a userChallenges record completed and log it to livestatics, in
+   * one transaction. The status filter makes this run once per record, so
+   * a double submit can never finish a challenge twice. The livestatics row
+   * is upserted: someone who left and rejoined still has the row from their
+   * first finish. Returns false if it was already completed.
+   */
+  async function recordCompletion(userChallenge, challenge) {
+    const now = new Date();
+    let completed = false;
+    const session = client.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const result = await userChallenges.updateOne(
+          {
+            _id: userChallenge._id,
+            status: { $ne: CHALLENGE_STATUS.COMPLETED },
+          },
+          {
+            $set: {
+              status: CHALLENGE_STATUS.COMPLETED,
+              completedAt: now,
+              lastUpdated: now,
+            },
+          },
+          { session }
+        );
+        completed = result.modifiedCount > 0;
+        if (!completed || !challenge) return;
+
+        await livestatics.updateOne(
+          { email: userChallenge.email, challengeId: challenge._id },
+          {
+            $set: {
+              userId: userChallenge.userId,
+              challengeTitle: challenge.title,
+              category: challenge.category,
+              finishedAt: now,
+            },
+          },
+          { upsert: true, session }
+        );
+      });
+    } finally {
+      await session.endSession();
+    }
+    if (!completed) return false;
+
+    if (challenge) {
+      await publish("completions", {
+        challengeId: challenge._id,
+        challengeTitle: challenge.title,
+        category: challenge.category,
+        finishedAt: now,
+      });
+      await notify(userChallenge.email, "challenge_completed", {
+        title: "Challenge completed",
+        message: `You finished "${challenge.title}". Well done!`,
+        link: `/challenges/${challenge._id}`,
+      });
+    }
+    await broadcastStats();
+    return true;
+  }
+
+  // challenges with a check-in cadence allow one action per check-in
+  function exceedsCheckIns(challenge, userChallenge, actions) {
+    const cadence = challenge?.checkInCadence;
+    if (!cadence || cadence === "none") return false;
+    return actions > (userChallenge.checkIns || []).length;
+  }
+
+  // items hidden by a moderator stay out of every public listing
+  const notHidden = { hidden: { $ne: true } };
+
+  // event dates after `from` (and up to `to`, if given) - new events store
+  // a Date, older ones a "YYYY-MM-DD" string
+  function eventDateFilter(from, to, { inclusive = false } = {}) {
+    const day = (date) => date.toISOString().split("T")[0];
+    const after = inclusive ? "$gte" : "$gt";
+    return {
+      $or: [
+        { date: { [after]: from, ...(to && { $lte: to }) } },
+        { date: { [after]: day(from), ...(to && { $lte: day(to) }) } },
+      ],
+    };
+  }
+
+  // single events still ahead and not cancelled (series are expanded
+  // separately)
+  function upcomingEventsFilter(from = new Date(), to = null) {
+    return {
+      ...eventDateFilter(from, to),
+      recurrence: null,
+      cancelled: { $ne: true },
+      ...notHidden,
+    };
+  }
+
+  // occurrences of every matching series within the window
+  async function expandSeries(filter, window) {
+    const series = await events
+      .find({ ...filter, recurrence: { $ne: null } })
+      .toArray();
+    return series.flatMap((event) =>
+      expandOccurrences(event, window).map((found) =>
+        occurrenceView(event, found)
+      )
+    );
+  }
+
+  const byEventDate = (a, b) => new Date(a.date) - new Date(b.date);
+
+  // upcoming single events plus series occurrences in ?from=&to= - series
+  // default to the next 60 days, single events are only capped by `to`.
+  // lat/lng/radiusKm or bbox narrow it down (see utils/geo.js)
+  async function listUpcomingEvents(query) {
+    const window = parseWindow(query);
+    const geo = parseGeoQuery(query);
+    const now = new Date();
+    if (window.from < now) window.from = now;
+
+    const single = await events
+      .find({
+        ...upcomingEventsFilter(window.from, query.to ? window.to : null),
+        ...geoFilter(geo),
+      })
+      .toArray();
+    const occurrences = await expandSeries(
+      { cancelled: { $ne: true }, ...notHidden, ...geoFilter(geo) },
+      window
+    );
+    const upcoming = [
+      ...single,
+      ...occurrences.filter((o) => !o.cancelled),
+    ].sort(byEventDate);
+    return sortByDistance(upcoming, geo);
+  }
+
+  // the event an RSVP points at - one occurrence for recurring events
+  function rsvpEvent(event, rsvp) {
+    if (!event || !rsvp.occurrence) return event || null;
+    const found = resolveOccurrence(event, rsvp.occurrence);
+    return found ? occurrenceView(event, found) : null;
+  }
+
+  // paging options shared by the challenge list routes
+  const challengeListOptions = {
+    sortKeys: ["createdAt", "participants", "startDate", "endDate", "title"],
+    defaultSort: "-createdAt",
+  };
+
+  app.post("/api/user", verifyFirebaseToken, async (req, res, next) => {
+    const { name, email } = req.body;
+    const firebaseEmail = req.user.email;
+    if (email !== firebaseEmail) {
+      return res.status(403).json({ message: "Email mismatch" });
+    }
+
+    try {
+      const existing = await users.findOne({ email });
+
+      if (existing) {
+        // update user lastLogin or name
+        await users.updateOne(
+          { email },
+          { $set: { name, lastLogin: new Date() } }
+        );
+        return res.status(200).json({ message: "User updated" });
+      }
+
+      // create new user
+      await users.insertOne({
+        name,
+        email,
+        createdAt: new Date(),
+        lastLogin: new Date(),
+      });
+
+      res.status(201).json({ message: "User created successfully" });
+    } catch (err) {
+      next(err);
+    }
+  }); // in use
+
+  // get current user information
+  app.get(
+    "/api/user/:email",
+    verifyFirebaseToken,
+    requireSelf("email", { allowStaff: true }),
+    async (req, res, next) => {
+      try {
+        const email = req.params.email;
+
+        const user = await users.findOne(
+          { email },
+          { projection: { calendarTokenHash: 0 } }
+        );
+
+        if (!user) {
+          return res.status(404).json({ message: "User not found" });
+        }
+
+        res.json(user);
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+  // Get all challenges
+  app.get("/api/challenges", async (req, res, next) => {
+    try {
+      const listQuery = parseListQuery(req.query, challengeListOptions);
+      const filter = { ...textFilter(req.query.q), ...notHidden };
+      if (req.query.category) filter.category = req.query.category;
+      const page = await findPage(challenges, filter, listQuery);
+      sendPage(res, page, listQuery);
+    } catch (error) {
+      next(error);
+    }
+  }); // in use
+  // GET advacnce challenge filter
+  app.get("/api/challenges/filter", async (req, res, next) => {
+    try {
+      const listQuery = parseListQuery(req.query, challengeListOptions);
+      const {
+        categories,
+        startDate,
+        endDate,
+        minParticipants,
+        maxParticipants,
+      } = req.query;
+
+      const filter = { ...textFilter(req.query.q), ...notHidden };
+
+      // Category filter
+      if (categories) {
+        filter.category = { $in: categories.split(",").map((c) => c.trim()) };
+      }
+
+      // Date range filter
+      if (startDate || endDate) {
+        filter.startDate = {};
+        if (startDate) filter.startDate.$gte = new Date(startDate);
+        if (endDate) filter.startDate.$lte = new Date(endDate);
+      }
+
+      // Participants range filter
+      if (minParticipants || maxParticipants) {
+        filter.participants = {};
+        if (minParticipants)
+          filter.participants.$gte = parseInt(minParticipants);
+        if (maxParticipants)
+          filter.participants.$lte = parseInt(maxParticipants);
+      }
+
+      const page = await findPage(challenges, filter, listQuery);
+      sendPage(res, page, listQuery);
+    } catch (error) {
+      next(error);
+    }
+  }); //in use
+
+  app.get("/api/challenges/top-participants", async (req, res, next) => {
+    try {
+      const topChallenges = await challenges
+        .find(notHidden)
+        .sort({ participants: -1 }) // descending order
+        .limit(10)
+        .toArray();
+
+      res.status(200).json(topChallenges);
+    } catch (err) {
+      next(err);
+    }
+  }); //in use
+  // Team leaderboard - ?metric=co2|plastic|completed, ?challengeId= for one
+  // challenge, rolled up from members' userChallenges
+  app.get("/api/challenges/top-teams", async (req, res, next) => {
+    try {
+      const metric = req.query.metric || "co2";
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+      if (!LEADERBOARD_METRICS.includes(metric)) {
+        return res.status(400).json({
+          message: `metric must be one of: ${LEADERBOARD_METRICS.join(", ")}`,
+        });
+      }
+
+      const challengeId = req.query.challengeId
+        ? new ObjectId(req.query.challengeId)
+        : null;
+      const ranking = await leaderboards.getTeamRanking({
+        metric,
+        challengeId,
+      });
+
+      res.json({
+        metric,
+        challengeId,
+        totalRanked: ranking.length,
+        leaders: ranking.slice(0, limit),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }); // in use
+  // get running challenges
+  app.get("/api/challenges/running", async (req, res, next) => {
+    try {
+      const today = new Date();
+      const allChallenges = await challenges.find(notHidden).toArray();
+      const runningChallenges = allChallenges.filter((c) => {
+        const start = new Date(c.startDate);
+        const end = new Date(c.endDate);
+        return start <= today && end >= today;
+      });
+      res.status(200).json(runningChallenges);
+    } catch (err) {
+      next(err);
+    }
+  }); // in use
+
+  // Get single challenge by id
+  app.get("/api/challenges/:id", async (req, res) => {
+    const id = req.params.id;
+    // invalid ids and lookup failures go to the error handler
+    const result = await challenges.findOne({ _id: new ObjectId(id) });
+    if (!result) throw new NotFoundError("Challenge not found");
+    res.json(result);
+  }); // in use
+
+  // Create new challenge
+  app.post(
+    "/api/challenges",
+    verifyFirebaseToken,
+    limits.content,
+    async (req, res, next) => {
+      try {
+        const data = validateBody(challengeSchema, req, res);
+        if (!data) return;
+
+        // server-owned fields
+        data.createdBy = req.user.email;
+        data.participants = 0;
+        data.createdAt = new Date();
+        data.updatedAt = new Date();
+
+        const result = await challenges.insertOne(data);
+        res.json(result);
+      } catch (err) {
+        next(err);
+      }
+    }
+  ); // in use
+
+  // Update a challenge
+
+  app.patch(
+    "/api/challenges/:id",
+    verifyFirebaseToken,
+    async (req, res, next) => {
+      try {
+        const challengeId = req.params.id;
+        const userEmail = req.user?.email;
+
+        // only schema fields - _id, createdBy and counters are dropped
+        const updated = validateBody(challengeSchema, req, res, {
+          partial: true,
+        });
+        if (!updated) return;
+
+        // Add updatedAt
+        updated.updatedAt = new Date();
+
+        // Check if the challenge exists and belongs to current user
+        const challenge = await challenges.findOne({
+          _id: new ObjectId(challengeId),
+        });
+
+        if (!challenge) {
+          return res.status(404).json({ message: "Challenge not found" });
+        }
+
+        if (challenge.createdBy !== userEmail)
+          return res
+            .status(403)
+            .json({ message: "You are not allowed to edit this challenge" });
+
+        const startDate = new Date(updated.startDate || challenge.startDate);
+        const endDate = new Date(updated.endDate || challenge.endDate);
+        if (startDate > endDate) {
+          return res.status(400).json({
+            message: "Validation failed",
+            errors: [
+              {
+                field: "endDate",
+                message: "endDate must not be before startDate",
+              },
+            ],
+          });
+        }
+
+        // Update document
+        const result = await challenges.updateOne(
+          { _id: new ObjectId(challengeId) },
+          { $set: updated }
+        );
+
+        // Return updated document
+        const updatedChallenge = await challenges.findOne({
+          _id: new ObjectId(challengeId),
+        });
+
+        res.json(updatedChallenge);
+      } catch (err) {
+        next(err);
+      }
+    }
+  ); //in use
+
+  // Delete a challenge
+  app.delete("/api/challenges/:id", verifyFirebaseToken, async (req, res) => {
+    const id = req.params.id;
+    const tokenEmail = req.user?.email;
+    const challenge = await challenges.findOne({ _id: new ObjectId(id) });
+    if (!challenge) {
+      return res.status(404).json({ message: "Challenge not found" });
+    }
+
+    if (challenge.createdBy !== tokenEmail) {
+      return res
+        .status(403)
+        .json({ message: "Forbidden - You cannot delete this challenge" });
+    }
+
+    const result = await challenges.deleteOne({ _id: new ObjectId(id) });
+    await deleteChallengeCascade(challenge._id);
+    res.json(result);
+  }); // in use
+
+  // Join challenge (increments participants + adds to UserChallenges)
+  // both writes run in one transaction so participants never drifts
+  app.post(
+    "/api/challenges/join/:id",
+    verifyFirebaseToken,
+    limits.joins,
+    async (req, res, next) => {
+      const authorEmail = req.user?.email;
+      const challengeId = req.params.id;
+
+      const session = client.startSession();
+      try {
+        const challenge = await challenges.findOne({
+          _id: new ObjectId(challengeId),
+        });
+
+        if (!challenge) {
+          return res.status(404).json({ message: "Challenge not found!" });
+        }
+
+        // userId from the verified account, never from the body
+        const account = await users.findOne(
+          { email: authorEmail },
+          { projection: { _id: 1 } }
+        );
+
+        // নতুন user challenge ডকুমেন্ট তৈরি
+        const userChallenge = newUserChallenge(authorEmail, account, challenge);
+
+        let result;
+        await session.withTransaction(async () => {
+          result = await userChallenges.insertOne(userChallenge, {
+            session,
+          });
+
+          // participants +1
+          await challenges.updateOne(
+            { _id: new ObjectId(challengeId) },
+            { $inc: { participants: 1 } },
+            { session }
+          );
+        });
+
+        await broadcastStats();
+        await broadcastParticipants("challenge", challenge._id);
+        await notify(authorEmail, "challenge_joined", {
+          title: "Challenge joined",
+          message: `You joined "${challenge.title}".`,
+          link: `/challenges/${challenge._id}`,
+        });
+
+        res.json({ message: "Joined successfully!", result });
+      } catch (error) {
+        // unique index on email + challengeId rejects a second join
+        if (error.code === 11000) {
+          return res
+            .status(400)
+            .json({ message: "You have already joined this challenge!" });
+        }
+        next(error);
+      } finally {
+        await session.endSession();
+      }
+    }
+  );
+  // in use
+
+  // Leave challenge (removes from UserChallenges + decrements participants)
+  app.post(
+    "/api/challenges/leave/:id",
+    verifyFirebaseToken,
+    limits.joins,
+    async (req, res, next) => {
+      const email = req.user?.email;
+      const challengeId = req.params.id;
+
+      const session = client.startSession();
+      try {
+        let removed = null;
+        await session.withTransaction(async () => {
+          removed = await userChallenges.findOneAndDelete(
+            { email, challengeId: new ObjectId(challengeId) },
+            { session }
+          );
+          if (!removed) return;
+
+          // participants -1
+          await challenges.updateOne(
+            {
+              _id: new ObjectId(challengeId),
+              participants: { $gt: 0 },
+            },
+            { $inc: { participants: -1 } },
+            { session }
+          );
+        });
+
+        if (!removed) {
+          return res
+            .status(404)
+            .json({ message: "You have not joined this challenge!" });
+        }
+
+        await broadcastStats();
+        await broadcastParticipants("challenge", new ObjectId(challengeId));
+
+        res.json({ message: "You have left the challenge" });
+      } catch (error) {
+        next(error);
+      } finally {
+        await session.endSession();
+      }
+    }
+  );
+  // in use
+
+  // tips apis
+  app.get("/api/tips", async (req, res, next) => {
+    try {
+      const listQuery = parseListQuery(req.query, {
+        sortKeys: ["createdAt", "upvotes", "title"],
+        defaultSort: "createdAt",
+      });
+      const page = await findPage(
+        tips,
+        { ...textFilter(req.query.q), ...notHidden },
+        listQuery
+      );
+      sendPage(res, page, listQuery);
+    } catch (error) {
+      next(error);
+    }
+  }); //in use
+  app.get("/api/tips/:author", verifyFirebaseToken, async (req, res, next) => {
+    try {
+      const author = req.params.author;
+      const tokenEmail = req.user?.email;
+      if (author !== tokenEmail) {
+        return res.status(403).json({
+          message: "Forbidden - You cannot access other users' tips",
+        });
+      }
+      const result = await tips
+        .find({ author: author, ...notHidden })
+        .toArray();
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }); // in use
+
+  app.post(
+    "/api/tips",
+    verifyFirebaseToken,
+    limits.content,
+    async (req, res, next) => {
+      try {
+        const data = validateBody(tipSchema, req, res);
+        if (!data) return;
+
+        // server-owned fields
+        data.author = req.user.email;
+        data.authorName = req.user.name || null;
+        data.upvotes = 0;
+        data.upvotedUsers = [];
+        data.createdAt = new Date();
+
+        const result = await tips.insertOne(data);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+  app.put("/api/tips/:id", verifyFirebaseToken, async (req, res, next) => {
+    try {
+      const veryfyEmail = req.user.email;
+      const id = req.params.id;
+
+      const data = await tips.findOne({ _id: new ObjectId(id) });
+      if (!data) throw new NotFoundError("Tip not found");
+
+      if (data.author !== veryfyEmail) {
+        return res
+          .status(403)
+          .json({ message: "Forbidden - You dont have access " });
+      }
+
+      const update = validateBody(tipSchema, req, res);
+      if (!update) return;
+      const { title, category, content } = update;
+
+      const result = await tips.updateOne(
+        { _id: new ObjectId(id) },
+        {
+          $set: {
+            title,
+            category,
+            content,
+          },
+        }
+      );
+
+      // deleted between the read and the write
+      if (result.matchedCount === 0) throw new NotFoundError("Tip not found");
+
+      res.json({ message: "Tip updated successfully!" });
+    } catch (error) {
+      next(error);
+    }
+  }); //in use
+  //  Upvote a tip
+  app.put(
+    "/api/tips/:id/upvote",
+    verifyFirebaseToken,
+    limits.votes,
+    async (req, res, next) => {
+      try {
+        const id = req.params.id;
+        const userEmail = req.user.email;
+
+        const tip = await tips.findOne({ _id: new ObjectId(id) });
+        if (!tip) {
+          return res.status(404).json({ message: "Tip not found" });
+        }
+
+        if (tip.author === userEmail) {
+          return res
+            .status(400)
+            .json({ message: "You can't upvote your own tip" });
+        }
+
+        if (!Array.isArray(tip.upvotedUsers)) {
+          tip.upvotedUsers = [];
+        }
+
+        const alreadyVoted = tip.upvotedUsers.includes(userEmail);
+
+        if (alreadyVoted) {
+          await tips.updateOne(
+            { _id: new ObjectId(id) },
+            {
+              $inc: { upvotes: -1 },
+              $pull: { upvotedUsers: userEmail },
+            }
+          );
+          return res.json({ message: "Vote removed", voted: false });
+        } else {
+          await tips.updateOne(
+            { _id: new ObjectId(id) },
+            {
+              $inc: { upvotes: 1 },
+              $addToSet: { upvotedUsers: userEmail },
+            }
+          );
+          await notify(tip.author, "tip_upvoted", {
+            title: "Your tip was upvoted",
+            message: `Someone found "${tip.title}" helpful.`,
+            link: `/tips/${tip._id}`,
+          });
+          await awardBadges(tip.author, ["upvotedTips"]);
+          return res.json({ message: "Voted successfully", voted: true });
+        }
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  app.delete("/api/tips/:id", verifyFirebaseToken, async (req, res, next) => {
+    try {
+      const id = req.params.id;
+      const firebaseEmile = req.user.email;
+      const tipsdata = await tips.findOne({
+        _id: new ObjectId(id),
+      });
+      if (!tipsdata) {
+        return res.status(404).json({ message: "Tip not found" });
+      }
+
+      if (tipsdata.author !== firebaseEmile) {
+        return res.status(403).json({
+          message: "Forbidden - You cannot delete other users' tips",
+        });
+      }
+
+      const result = await tips.deleteOne({
+        _id: new ObjectId(id),
+      });
+
+      if (result.deletedCount === 0) {
+        return res.status(404).json({ message: "Tip not found" });
+      }
+      await deleteTipCascade(tipsdata._id);
+
+      res.json({ message: "Tip deleted successfully!" });
+    } catch (error) {
+      next(error);
+    }
+  }); //in use
+  // Upvote a tip
+
+  // Event get
+  app.get("/api/events", async (req, res, next) => {
+    try {
+      const geo = parseGeoQuery(req.query);
+      const filter = {
+        ...textFilter(req.query.q),
+        ...notHidden,
+        ...geoFilter(geo),
+      };
+
+      // ?from=&to= lists dated items in that window with series expanded
+      // into occurrences (not paged)
+      if (req.query.from || req.query.to) {
+        const window = parseWindow(req.query);
+        const single = await events
+          .find({
+            $and: [
+              filter,
+              { recurrence: null },
+              eventDateFilter(window.from, window.to, { inclusive: true }),
+            ],
+          })
+          .toArray();
+        const occurrences = await expandSeries(filter, window);
+        const items = [...single, ...occurrences].sort(byEventDate);
+        return res.json(sortByDistance(items, geo));
+      }
+
+      // nearest first can't be cursor-paged - the radius bounds the list
+      if (geo?.near) {
+        const nearby = await events.find(filter).toArray();
+        return res.json(sortByDistance(nearby, geo));
+      }
+
+      const listQuery = parseListQuery(req.query, {
+        sortKeys: ["createdAt", "date", "currentParticipants", "title"],
+        defaultSort: "createdAt",
+      });
+      const page = await findPage(events, filter, listQuery);
+      sendPage(res, page, listQuery);
+    } catch (error) {
+      next(error);
+    }
+  }); //in use
+  // Event upcomming  get
+  app.get("/api/events/upcomming", async (req, res, next) => {
+    try {
+      const upcomingEvent = await listUpcomingEvents(req.query);
+
+      res.status(200).json(upcomingEvent);
+    } catch (err) {
+      next(err);
+    }
+  }); //in use
+  // --- calendar (.ics) feeds ---
+
+  // works for occurrence views too - each date gets its own uid
+  const eventToCalendarItem = (event, status = "CONFIRMED") => ({
+    uid: event.occurrence
+      ? `event-${event._id}-${event.occurrence}@ecotrack`
+      : `event-${event._id}@ecotrack`,
+    start: toCalendarDate(event.date),
+    summary: event.title,
+    description: event.description,
+    location: event.location,
+    status: event.cancelled ? "CANCELLED" : status,
+  });
+
+  // All upcoming events - same set as /api/events/upcomming
+  app.get("/api/events/upcomming/calendar.ics", async (req, res, next) => {
+    try {
+      const upcoming = await listUpcomingEvents(req.query);
+
+      sendICalendar(
+        res,
+        "upcoming-events.ics",
+        buildICalendar({
+          name: "EcoTrack upcoming events",
+          items: upcoming.map((event) => eventToCalendarItem(event)),
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }); // in use
+
+  // Single event
+  app.get("/api/events/:id/calendar.ics", async (req, res, next) => {
+    try {
+      const event = await events.findOne({
+        _id: new ObjectId(req.params.id),
+        ...notHidden,
+      });
+      if (!event) {
+        return res.status(404).json({ message: "Event not found" });
+      }
+
+      // a series exports its occurrences in ?from=&to= (next 60 days)
+      const items = event.recurrence
+        ? expandOccurrences(event, parseWindow(req.query)).map((found) =>
+            eventToCalendarItem(occurrenceView(event, found))
+          )
+        : [eventToCalendarItem(event)];
+
+      sendICalendar(
+        res,
+        `event-${event._id}.ics`,
+        buildICalendar({ name: event.title, items })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }); // in use
+
+  const hashCalendarToken = (token) =>
+    crypto.createHash("sha256").update(token).digest("hex");
+
+  // Create or rotate the personal feed token - the old URL stops working
+  app.post(
+    "/api/calendar/token",
+    verifyFirebaseToken,
+    async (req, res, next) => {
+      try {
+        const token = crypto.randomBytes(32).toString("hex");
+        const result = await users.updateOne(
+          { email: req.user.email },
+          {
+            $set: {
+              calendarTokenHash: hashCalendarToken(token),
+              calendarTokenCreatedAt: new Date(),
+            },
+          }
+        );
+        if (result.matchedCount === 0) {
+          return res.status(404).json({ message: "User not found" });
+        }
+
+        // the raw token is only shown once
+        res.status(201).json({
+          token,
+          url: `${req.protocol}://${req.get("host")}/api/calendar/feed/${token}.ics`,
+        });
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  app.delete(
+    "/api/calendar/token",
+    verifyFirebaseToken,
+    async (req, res, next) => {
+      try {
+        await users.updateOne(
+          { email: req.user.email },
+          { $unset: { calendarTokenHash: "", calendarTokenCreatedAt: "" } }
+        );
+        res.json({ message: "Calendar feed revoked" });
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  // Personal feed for calendar apps - the secret token replaces Firebase auth
+  app.get("/api/calendar/feed/:token.ics", async (req, res, next) => {
+    try {
+      const user = await users.findOne({
+        calendarTokenHash: hashCalendarToken(req.params.token),
+      });
+      if (!user) {
+        return res.status(404).json({ message: "Calendar feed not found" });
+      }
+
+      const rsvps = await eventRsvps.find({ email: user.email }).toArray();
+      const joinedEvents = await events
+        .find({ _id: { $in: rsvps.map((r) => r.eventId) }, ...notHidden })
+        .toArray();
+
+      const joined = await userChallenges.find({ email: user.email }).toArray();
+      const joinedChallenges = await challenges
+        .find({ _id: { $in: joined.map((uc) => uc.challengeId) } })
+        .toArray();
+
+      const items = [
+        ...rsvps.flatMap((rsvp) => {
+          const event = rsvpEvent(
+            joinedEvents.find((e) => e._id.equals(rsvp.eventId)),
+            rsvp
+          );
+          if (!event) return [];
+          return [
+            eventToCalendarItem(
+              event,
+              rsvp.status === "going" ? "CONFIRMED" : "TENTATIVE"
+            ),
+          ];
+        }),
+        ...joinedChallenges.map((challenge) => ({
+          uid: `challenge-${challenge._id}@ecotrack`,
+          start: toCalendarDate(challenge.startDate),
+          end: toCalendarDate(challenge.endDate),
+          summary: `Challenge: ${challenge.title}`,
+          description: challenge.description,
+        })),
+      ];
+
+      sendICalendar(
+        res,
+        "ecotrack.ics",
+        buildICalendar({ name: "My EcoTrack", items })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }); // in use
+
+  app.post(
+    "/api/events",
+    verifyFirebaseToken,
+    limits.content,
+    async (req, res, next) => {
+      try {
+        const data = validateBody(eventSchema, req, res);
+        if (!data) return;
+
+        // optional repeat rule - `date` becomes the first occurrence
+        if (req.body.recurrence !== undefined) {
+          const { value, errors } = parseRecurrence(
+            req.body.recurrence,
+            data.date
+          );
+          if (errors) {
+            return res
+              .status(400)
+              .json({ message: "Validation failed", errors });
+          }
+          data.recurrence = value;
+        }
+        applyGeoPoint(data);
+
+        // server-owned fields
+        const authorEmail = req.user?.email;
+        data.organizer = authorEmail;
+        data.capacity = data.capacity || 0;
+        data.currentParticipants = 0;
+        data.createdAt = new Date();
+
+        const result = await events.insertOne(data);
+
+        await notify(authorEmail, "event_created", {
+          title: "Event published",
+          message: `"${data.title}" is now live.`,
+          link: `/events/${result.insertedId}`,
+        });
+        res.json(result);
+      } catch (err) {
+        next(err);
+      }
+    }
+  ); //in use
+
+  // optional { reason } of a cancellation - null when none was given,
+  // undefined after a 400 has been sent
+  function cancelReason(req, res) {
+    const reason = req.body?.reason;
+    if (reason !== undefined && typeof reason !== "string") {
+      res.status(400).json({
+        message: "Validation failed",
+        errors: [{ field: "reason", message: "reason must be a string" }],
+      });
+      return undefined;
+    }
+    return reason?.trim().slice(0, 500) || null;
+  }
+
+  // organizer of the event in :id, or staff
+  const ownEvent = requireOwnedDocument(events, {
+    ownerField: "organizer",
+    as: "event",
+    allowRoles: ["admin", "moderator"],
+    label: "Event",
+  });
+
+  // Edit an event - fix details, reschedule, resize
+  app.patch(
+    "/api/events/:id",
+    verifyFirebaseToken,
+    ownEvent,
+    async (req, res, next) => {
+      try {
+        const event = req.event;
+        if (event.cancelled) {
+          return res
+            .status(409)
+            .json({ message: "Cancelled events can no longer be edited" });
+        }
+
+        // only schema fields - organizer and counters are dropped
+        const updated = validateBody(eventSchema, req, res, { partial: true });
+        if (!updated) return;
+        applyGeoPoint(updated);
+
+        // capacity applies to every occurrence of a series
+        const going = event.recurrence
+          ? Math.max(0, ...Object.values(event.occurrenceParticipants || {}))
+          : event.currentParticipants || 0;
+        const errors = [];
+        if (req.body?.recurrence !== undefined) {
+          errors.push({
+            field: "recurrence",
+            message:
+              "The repeat rule cannot be changed - cancel the series and create a new one",
+          });
+        }
+        if (event.recurrence && updated.date) {
+          errors.push({
+            field: "date",
+            message: "Reschedule single occurrences of a series instead",
+          });
+        }
+        if (updated.date && updated.date <= new Date()) {
+          errors.push({ field: "date", message: "date must be in the future" });
+        }
+        if (updated.capacity && updated.capacity < going) {
+          errors.push({
+            field: "capacity",
+            message: `capacity must be at least ${going} (people already going)`,
+          });
+        }
+        if (errors.length > 0) {
+          return res.status(400).json({ message: "Validation failed", errors });
+        }
+
+        updated.updatedAt = new Date();
+        updated.updatedBy = req.user.email;
+
+        const result = await events.findOneAndUpdate(
+          { _id: event._id },
+          { $set: updated },
+          { returnDocument: "after" }
+        );
+
+        if ("capacity" in updated) {
+          const occurrences = event.recurrence
+            ? await eventRsvps.distinct("occurrence", {
+                eventId: event._id,
+                status: "waitlisted",
+              })
+            : [null];
+          for (const occurrence of occurrences) {
+            await fillOpenSeats(event._id, occurrence);
+          }
+        }
+
+        const rescheduled =
+          updated.date &&
+          updated.date.getTime() !== new Date(event.date).getTime();
+        const moved = updated.location && updated.location !== event.location;
+        if (rescheduled || moved) {
+          await notifyRsvps(event._id, "event_updated", {
+            title: rescheduled ? "Event rescheduled" : "Event moved",
+            message: rescheduled
+              ? `"${result.title}" now takes place on ${updated.date.toISOString().split("T")[0]}.`
+              : `"${result.title}" now takes place at ${result.location}.`,
+            link: `/events/${event._id}`,
+          });
+        }
+
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  // Cancel an event - soft: it stays listed with cancelled: true and its
+  // RSVPs are kept as the attendance record. Staff hard-delete through
+  // /api/admin/events/:id
+  app.delete(
+    "/api/events/:id",
+    verifyFirebaseToken,
+    ownEvent,
+    async (req, res, next) => {
+      try {
+        const event = req.event;
+        const reason = cancelReason(req, res);
+        if (reason === undefined) return;
+
+        const now = new Date();
+        const going = await eventRsvps.countDocuments({
+          eventId: event._id,
+          status: "going",
+        });
+        const result = await events.findOneAndUpdate(
+          { _id: event._id, cancelled: { $ne: true } },
+          {
+            $set: {
+              cancelled: true,
+              cancelledAt: now,
+              cancelledBy: req.user.email,
+              cancelReason: reason,
+              attendeeCount: going,
+            },
+          },
+          { returnDocument: "after" }
+        );
+        if (!result) {
+          return res
+            .status(409)
+            .json({ message: "Event is already cancelled" });
+        }
+
+        await eventRsvps.updateMany(
+          { eventId: event._id },
+          { $set: { eventCancelledAt: now } }
+        );
+        await notifyRsvps(event._id, "event_cancelled", {
+          title: "Event cancelled",
+          message: `"${event.title}" has been cancelled.`,
+          link: `/events/${event._id}`,
+        });
+
+        res.json({ message: "Event cancelled", event: result });
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  // one date of a series that is still on - attached as req.occurrence
+  function openOccurrence(req, res, next) {
+    const found = resolveOccurrence(req.event, req.params.occurrence);
+    if (!found) {
+      return res.status(404).json({ message: "Occurrence not found" });
+    }
+    if (req.event.cancelled || found.override.cancelled) {
+      return res
+        .status(409)
+        .json({ message: "This occurrence has been cancelled" });
+    }
+
+    req.occurrence = found;
+    next();
+  }
+
+  // what an organizer can change for a single date - capacity and
+  // coordinates are series-wide
+  const occurrenceSchema = Object.fromEntries(
+    Object.entries(eventSchema).filter(
+      ([field]) => !["capacity", "lat", "lng"].includes(field)
+    )
+  );
+
+  // Override one occurrence (new date, place or details) - the rest of
+  // the series stays as it is
+  app.patch(
+    "/api/events/:id/occurrences/:occurrence",
+    verifyFirebaseToken,
+    ownEvent,
+    openOccurrence,
+    async (req, res, next) => {
+      try {
+        const event = req.event;
+        const current = req.occurrence;
+        const { occurrence } = current;
+
+        const updated = validateBody(occurrenceSchema, req, res, {
+          partial: true,
+        });
+        if (!updated) return;
+        if (updated.date && updated.date <= new Date()) {
+          return res.status(400).json({
+            message: "Validation failed",
+            errors: [{ field: "date", message: "date must be in the future" }],
+          });
+        }
+
+        updated.updatedAt = new Date();
+        updated.updatedBy = req.user.email;
+        const result = await events.findOneAndUpdate(
+          { _id: event._id },
+          {
+            $set: Object.fromEntries(
+              Object.entries(updated).map(([field, value]) => [
+                `overrides.${occurrence}.${field}`,
+                value,
+              ])
+            ),
+          },
+          { returnDocument: "after" }
+        );
+        const view = occurrenceView(
+          result,
+          resolveOccurrence(result, occurrence)
+        );
+
+        const rescheduled =
+          updated.date && updated.date.getTime() !== current.date.getTime();
+        const moved =
+          updated.location &&
+          updated.location !== (current.override.location || event.location);
+        if (rescheduled || moved) {
+          await notifyRsvps(
+            event._id,
+            "event_updated",
+            {
+              title: rescheduled ? "Event rescheduled" : "Event moved",
+              message: rescheduled
+                ? `"${view.title}" (${occurrence}) now takes place on ${updated.date.toISOString().split("T")[0]}.`
+                : `"${view.title}" (${occurrence}) now takes place at ${view.location}.`,
+              link: `/events/${event._id}`,
+            },
+            occurrence
+          );
+        }
+
+        res.json(view);
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  // Cancel one occurrence - same soft cancel as a whole event, RSVPs for
+  // that date are kept as its attendance record
+  app.delete(
+    "/api/events/:id/occurrences/:occurrence",
+    verifyFirebaseToken,
+    ownEvent,
+    openOccurrence,
+    async (req, res, next) => {
+      try {
+        const event = req.event;
+        const { occurrence } = req.occurrence;
+        const reason = cancelReason(req, res);
+        if (reason === undefined) return;
+
+        const now = new Date();
+        const prefix = `overrides.${occurrence}`;
+        const result = await events.findOneAndUpdate(
+          { _id: event._id, [`${prefix}.cancelled`]: { $ne: true } },
+          {
+            $set: {
+              [`${prefix}.cancelled`]: true,
+              [`${prefix}.cancelledAt`]: now,
+              [`${prefix}.cancelledBy`]: req.user.email,
+              [`${prefix}.cancelReason`]: reason,
+            },
+          },
+          { returnDocument: "after" }
+        );
+        if (!result) {
+          return res
+            .status(409)
+            .json({ message: "This occurrence has been cancelled" });
+        }
+
+        await eventRsvps.updateMany(
+          { eventId: event._id, occurrence },
+          { $set: { eventCancelledAt: now } }
+        );
+        await notifyRsvps(
+          event._id,
+          "event_cancelled",
+          {
+            title: "Event cancelled",
+            message: `"${event.title}" on ${occurrence} has been cancelled.`,
+            link: `/events/${event._id}`,
+          },
+          occurrence
+        );
+
+        res.json({
+          message: "Occurrence cancelled",
+          event: occurrenceView(result, resolveOccurrence(result, occurrence)),
+        });
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+  app.get("/api/global-stats", async (req, res, next) => {
+    try {
+      res.json({
+        success: true,
+        stats: await getGlobalStats(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }); //in use
+
+  // Live updates stream (SSE) - ?topics=completions,stats,challenge:<id>
+  app.get("/api/live", (req, res) => {
+    if (
+      req.query.topics !== undefined &&
+      typeof req.query.topics !== "string"
+    ) {
+      return res.status(400).json({ message: "topics must be given once" });
+    }
+    const topics = (req.query.topics || STATIC_TOPICS.join(","))
+      .split(",")
+      .map((t) => t.trim())
+      .filter(Boolean);
+
+    const invalid = topics.filter((t) => !isValidTopic(t));
+    if (invalid.length > 0) {
+      return res
+        .status(400)
+        .json({ message: `Unknown topics: ${invalid.join(", ")}` });
+    }
+
+    return subscribe(req, res, topics);
+  }); // in use
+
+  app.get("/api/total-joined", async (req, res, next) => {
+    try {
+      const totalJoins = await userChallenges.countDocuments({});
+      res.json({ totalJoined: totalJoins });
+    } catch (error) {
+      next(error);
+    }
+  }); //in use
+  // RSVPs to a series name one date in the body: { occurrence: "YYYY-MM-DD" }.
+  // Returns null for single events, undefined once an error was sent
+  function rsvpOccurrence(event, req, res) {
+    if (!event.recurrence) return null;
+
+    const found = resolveOccurrence(event, req.body?.occurrence);
+    if (!found) {
+      res.status(400).json({
+        message: "occurrence must be a date (YYYY-MM-DD) of this series",
+      });
+      return undefined;
+    }
+    if (found.override.cancelled) {
+      res.status(409).json({ message: "This occurrence has been cancelled" });
+      return undefined;
+    }
+    return found.occurrence;
+  }
+
+  // Join Event (RSVP) - goes to waitlist when the event is full
+  app.post(
+    "/api/events/join/:id",
+    verifyFirebaseToken,
+    limits.joins,
+    async (req, res, next) => {
+      try {
+        const eventId = new ObjectId(req.params.id);
+        const email = req.user.email;
+
+        const event = await events.findOne({ _id: eventId });
+        if (!event) {
+          return res.status(404).json({ message: "Event not found" });
+        }
+        if (event.cancelled) {
+          return res
+            .status(409)
+            .json({ message: "This event has been cancelled" });
+        }
+
+        const occurrence = rsvpOccurrence(event, req, res);
+        if (occurrence === undefined) return;
+
+        const existing = await eventRsvps.findOne({
+          eventId,
+          occurrence,
+          email,
+        });
+        if (existing) {
+          return res.status(400).json({
+            message:
+              existing.status === "going"
+                ? "You have already joined this event!"
+                : "You are already on the waitlist for this event!",
+          });
+        }
+
+        const status = (await takeSeat(eventId, occurrence))
+          ? "going"
+          : "waitlisted";
+
+        try {
+          await eventRsvps.insertOne({
+            eventId,
+            occurrence,
+            email,
+            name: req.user.name || null,
+            status,
+            joinedAt: new Date(),
+          });
+        } catch (error) {
+          // double click - the unique index already holds this RSVP
+          if (status === "going") {
+            await events.updateOne(
+              { _id: eventId },
+              { $inc: { [seatField(occurrence)]: -1 } }
+            );
+          }
+          if (error.code === 11000) {
+            return res
+              .status(400)
+              .json({ message: "You have already joined this event!" });
+          }
+          throw error;
+        }
+
+        const label = occurrence
+          ? `"${event.title}" (${occurrence})`
+          : `"${event.title}"`;
+        await broadcastParticipants("event", eventId, occurrence);
+        await notify(email, "event_joined", {
+          title: status === "going" ? "You're going" : "You're on the waitlist",
+          message: `RSVP saved for ${label}.`,
+          link: `/events/${eventId}`,
+        });
+        if (status === "going") {
+          await notify(event.organizer, "event_joined", {
+            title: "New attendee",
+            message: `${req.user.name || email} joined ${label}.`,
+            link: `/events/${eventId}`,
+          });
+        }
+
+        res.status(201).json({
+          message:
+            status === "going"
+              ? "Joined successfully!"
+              : "Event is full - you have been added to the waitlist",
+          status,
+          ...(occurrence && { occurrence }),
+        });
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  // Leave Event - frees the seat for the next waitlisted user
+  app.post(
+    "/api/events/leave/:id",
+    verifyFirebaseToken,
+    limits.joins,
+    async (req, res, next) => {
+      try {
+        const eventId = new ObjectId(req.params.id);
+        const email = req.user.email;
+
+        // RSVPs of a cancelled event are its attendance record
+        const event = await events.findOne(
+          { _id: eventId },
+          { projection: { cancelled: 1, date: 1, recurrence: 1, overrides: 1 } }
+        );
+        if (event?.cancelled) {
+          return res
+            .status(409)
+            .json({ message: "This event has been cancelled" });
+        }
+        const occurrence = event ? rsvpOccurrence(event, req, res) : null;
+        if (occurrence === undefined) return;
+
+        const rsvp = await eventRsvps.findOneAndDelete({
+          eventId,
+          occurrence,
+          email,
+        });
+        if (!rsvp) {
+          return res
+            .status(404)
+            .json({ message: "You have not joined this event" });
+        }
+
+        // hand the seat over to the first person on the waitlist
+        const promoted = await releaseRsvp(rsvp);
+
+        res.json({
+          message: "You have left the event",
+          promoted: promoted ? promoted.email : null,
+        });
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  // events the current user joined or is waitlisted for
+  app.get("/api/events/my", verifyFirebaseToken, async (req, res, next) => {
+    try {
+      const rsvps = await eventRsvps
+        .find({ email: req.user.email })
+        .sort({ joinedAt: -1 })
+        .toArray();
+
+      const eventDocs = await events
+        .find({ _id: { $in: rsvps.map((r) => r.eventId) } })
+        .toArray();
+
+      const result = rsvps.map((rsvp) => ({
+        ...rsvp,
+        event: rsvpEvent(
+          eventDocs.find((e) => e._id.equals(rsvp.eventId)),
+          rsvp
+        ),
+      }));
+
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }); // in use
+
+  // events the current user organizes - ?cancelled=true|false to filter
+  app.get(
+    "/api/events/organized",
+    verifyFirebaseToken,
+    async (req, res, next) => {
+      try {
+        const listQuery = parseListQuery(req.query, {
+          sortKeys: ["createdAt", "date", "currentParticipants", "title"],
+          defaultSort: "-createdAt",
+        });
+
+        const filter = { organizer: req.user.email };
+        if (req.query.cancelled === "true") filter.cancelled = true;
+        if (req.query.cancelled === "false") filter.cancelled = { $ne: true };
+
+        const page = await findPage(events, filter, listQuery);
+        sendPage(res, page, listQuery);
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  // attendee list - organizer only, ?occurrence= for one date of a series
+  app.get(
+    "/api/events/:id/attendees",
+    verifyFirebaseToken,
+    async (req, res, next) => {
+      try {
+        const eventId = new ObjectId(req.params.id);
+
+        const event = await events.findOne({ _id: eventId });
+        if (!event) {
+          return res.status(404).json({ message: "Event not found" });
+        }
+
+        if (event.organizer !== req.user.email) {
+          return res.status(403).json({
+            message: "Forbidden - Only the organizer can view attendees",
+          });
+        }
+
+        const occurrence = event.recurrence ? req.query.occurrence : null;
+        if (event.recurrence && !resolveOccurrence(event, occurrence)) {
+          return res.status(400).json({
+            message: "occurrence must be a date (YYYY-MM-DD) of this series",
+          });
+        }
+
+        const rsvps = await eventRsvps
+          .find({ eventId, occurrence })
+          .sort({ joinedAt: 1 })
+          .toArray();
+
+        res.json({
+          ...(occurrence && { occurrence }),
+          capacity: event.capacity || null,
+          going: rsvps.filter((r) => r.status === "going"),
+          waitlist: rsvps.filter((r) => r.status === "waitlisted"),
+        });
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  app.get(
+    "/api/user-challenges/:userId",
+    verifyFirebaseToken,
+    async (req, res, next) => {
+      try {
+        const userId = req.params.userId;
+        const firebaseEmail = req.user.email;
+
+        if (!ObjectId.isValid(userId)) {
+          return res.status(400).json({ message: "Invalid user id" });
+        }
+        const user = await users.findOne({ _id: new ObjectId(userId) });
+        if (!user) {
+          return res.status(404).json({ message: "User not found" });
+        }
+
+        if (user.email !== firebaseEmail) {
+          return res
+            .status(403)
+            .json({ message: "Forbidden - You cannot access other data" });
+        }
+
+        //  userChallenges fetch
+        const listQuery = parseListQuery(req.query, {
+          sortKeys: ["joinDate", "lastUpdated", "progress"],
+          defaultSort: "joinDate",
+        });
+        // records are keyed by the verified email, not a client userId
+        const page = await findPage(
+          userChallenges,
+          { email: user.email },
+          listQuery
+        );
+
+        // challenge details fetch
+        page.items = await Promise.all(
+          page.items.map(async (uc) => {
+            const challengeData = await challenges.findOne({
+              _id: new ObjectId(uc.challengeId),
+            });
+
+            return {
+              ...uc,
+              challenge: challengeData || null,
+            };
+          })
+        );
+
+        sendPage(res, page, listQuery);
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  // Update user challenge progress
+  app.patch(
+    "/api/user-challenges/update/:id",
+    verifyFirebaseToken,
+    ownUserChallenge,
+    async (req, res, next) => {
+      try {
+        const existing = req.userChallenge;
+        const report = validateBody(progressSchema, req, res);
+        if (!report) return;
+
+        const challenge = await challenges.findOne({
+          _id: new ObjectId(existing.challengeId),
+        });
+
+        const addedActions = report.actionsCompleted || 0;
+        const addedCo2 = report.co2PerAction || 0;
+        const addedPlastic = report.plasticPerAction || 0;
+        // a completed challenge takes no more progress
+        assertTransition(existing.status, CHALLENGE_STATUS.IN_PROGRESS);
+
+        // (older documents may not have the counters yet)
+        if (
+          exceedsCheckIns(
+            challenge,
+            existing,
+            (Number(existing.actionsCompleted) || 0) + addedActions
+          )
+        ) {
+          return res
+            .status(409)
+            .json({ message: "Check in before logging more progress" });
+        }
+
+        // $inc so concurrent reports all count, like their ledger rows
+        const updated = await userChallenges.findOneAndUpdate(
+          { _id: existing._id, status: { $ne: CHALLENGE_STATUS.COMPLETED } },
+          {
+            $inc: {
+              actionsCompleted: addedActions,
+              co2Saved: addedCo2,
+              plasticReduced: addedPlastic,
+            },
+            $set: { lastUpdated: new Date() },
+          },
+          { returnDocument: "after" }
+        );
+        if (!updated) {
+          return res
+            .status(409)
+            .json({ message: "This challenge is already completed" });
+        }
+
+        // progress follows the new totals
+        const newProgress = Math.min(
+          (updated.actionsCompleted /
+            (report.totalActions || Number(updated.totalActions) || 1)) *
+            100,
+          100
+        );
+        const newStatus = assertTransition(
+          existing.status,
+          newProgress === 100
+            ? CHALLENGE_STATUS.COMPLETED
+            : CHALLENGE_STATUS.IN_PROGRESS
+        );
+
+        const result = await userChallenges.updateOne(
+          { _id: existing._id, status: { $ne: CHALLENGE_STATUS.COMPLETED } },
+          {
+            $set: {
+              progress: newProgress,
+              // completion is set by recordCompletion below
+              ...(newStatus !== CHALLENGE_STATUS.COMPLETED && {
+                status: newStatus,
+              }),
+            },
+          }
+        );
+        if (newStatus === CHALLENGE_STATUS.COMPLETED) {
+          await recordCompletion(existing, challenge);
+        }
+
+        // impact ledger entry for the dashboard time series
+        await impactLedger.insertOne({
+          email: existing.email,
+          userId: existing.userId,
+          userChallengeId: existing._id,
+          challengeId: existing.challengeId,
+          category: challenge?.category || null,
+          actions: addedActions,
+          co2Saved: addedCo2,
+          plasticReduced: addedPlastic,
+          createdAt: new Date(),
+        });
+
+        const newBadges = await awardBadges(existing.email, [
+          "completions",
+          "co2Saved",
+          "plasticReduced",
+        ]);
+
+        res.json({
+          message: "Progress updated successfully",
+          result,
+          newBadges,
+        });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+  // Daily check-in on a joined challenge
+  app.post(
+    "/api/user-challenges/:id/check-in",
+    verifyFirebaseToken,
+    ownUserChallenge,
+    async (req, res, next) => {
+      try {
+        const userChallenge = req.userChallenge;
+        const id = userChallenge._id;
+
+        const challenge = await challenges.findOne({
+          _id: new ObjectId(userChallenge.challengeId),
+        });
+        if (!challenge) {
+          return res.status(404).json({ message: "Challenge not found" });
+        }
+
+        // the first check-in fixes the time zone for the whole challenge
+        const timezone = userChallenge.timezone || req.body?.timezone || "UTC";
+        if (!isValidTimeZone(timezone)) {
+          return res.status(400).json({ message: "Invalid timezone" });
+        }
+
+        const now = new Date();
+        const today = localDay(now, timezone);
+        if (
+          (challenge.startDate &&
+            today < localDay(new Date(challenge.startDate), timezone)) ||
+          (challenge.endDate &&
+            today > localDay(new Date(challenge.endDate), timezone))
+        ) {
+          return res
+            .status(409)
+            .json({ message: "This challenge is not running today" });
+        }
+
+        const cadence = challenge.checkInCadence || "daily";
+        const checkIn = { day: today, at: now };
+
+        // the filter makes a second check-in in the same day/week a no-op
+        const pushed = await userChallenges.updateOne(
+          {
+            _id: id,
+            "checkIns.day": { $nin: blockingDays(cadence, today) },
+          },
+          { $push: { checkIns: checkIn }, $set: { timezone } }
+        );
+        if (pushed.modifiedCount === 0) {
+          return res.status(409).json({
+            message:
+              cadence === "weekly"
+                ? "You have already checked in this week"
+                : "You have already checked in today",
+          });
+        }
+
+        const days = [
+          ...(userChallenge.checkIns || []).map((c) => c.day),
+          today,
+        ];
+        const streaks = computeStreaks(days, cadence, today);
+        await userChallenges.updateOne(
+          { _id: id },
+          {
+            $set: {
+              ...streaks,
+              longestStreak: Math.max(
+                streaks.longestStreak,
+                userChallenge.longestStreak || 0
+              ),
+              lastUpdated: now,
+            },
+          }
+        );
+
+        res.status(201).json({
+          message: "Checked in successfully",
+          checkIn,
+          ...streaks,
+        });
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  // Check-in calendar and streaks for a joined challenge
+  app.get(
+    "/api/user-challenges/:id/check-ins",
+    verifyFirebaseToken,
+    ownUserChallenge,
+    async (req, res, next) => {
+      try {
+        const userChallenge = req.userChallenge;
+
+        const challenge = await challenges.findOne({
+          _id: new ObjectId(userChallenge.challengeId),
+        });
+        const cadence = challenge?.checkInCadence || "daily";
+        const timezone = userChallenge.timezone || "UTC";
+        const today = localDay(new Date(), timezone);
+
+        const month = req.query.month || today.slice(0, 7);
+        if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+          return res
+            .status(400)
+            .json({ message: "month must look like YYYY-MM" });
+        }
+
+        const days = (userChallenge.checkIns || []).map((c) => c.day);
+
+        res.json({
+          cadence,
+          timezone,
+          totalCheckIns: days.length,
+          ...computeStreaks(days, cadence, today),
+          calendar: buildCalendar(days, month),
+        });
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  app.patch(
+    "/api/user-challenges/:id/complete-step",
+    verifyFirebaseToken,
+    ownUserChallenge,
+    async (req, res, next) => {
+      try {
+        const userChallenge = req.userChallenge;
+        const { stepId } = req.body ?? {};
+        if (
+          !(typeof stepId === "string" && stepId.trim()) &&
+          !Number.isFinite(stepId)
+        ) {
+          return res.status(400).json({ message: "stepId is required" });
+        }
+
+        // a finished challenge is returned unchanged
+        if (
+          normalizeStatus(userChallenge.status) === CHALLENGE_STATUS.COMPLETED
+        ) {
+          return res.status(200).json({ ...userChallenge, newBadges: [] });
+        }
+
+        // Update completed steps
+        const completedSteps = userChallenge.completedSteps || [];
+        const isNewStep = !completedSteps.includes(stepId);
+        if (isNewStep) completedSteps.push(stepId);
+
+        const challenge = await challenges.findOne({
+          _id: new ObjectId(userChallenge.challengeId),
+        });
+        if (exceedsCheckIns(challenge, userChallenge, completedSteps.length)) {
+          return res
+            .status(409)
+            .json({ message: "Check in before completing more steps" });
+        }
+
+        // Calculate progress
+        const progress = Math.floor(
+          (completedSteps.length / userChallenge.totalActions) * 100
+        );
+        const status = assertTransition(
+          userChallenge.status,
+          progress >= 100
+            ? CHALLENGE_STATUS.COMPLETED
+            : CHALLENGE_STATUS.IN_PROGRESS
+        );
+
+        await userChallenges.updateOne(
+          { _id: userChallenge._id },
+          {
+            $set: {
+              completedSteps,
+              progress,
+              lastUpdated: new Date(),
+              // completion is set by recordCompletion below
+              ...(status !== CHALLENGE_STATUS.COMPLETED && { status }),
+            },
+          }
+        );
+
+        // a finished step is one action in the impact ledger
+        if (isNewStep) {
+          await impactLedger.insertOne({
+            email: userChallenge.email,
+            userId: userChallenge.userId,
+            userChallengeId: userChallenge._id,
+            challengeId: userChallenge.challengeId,
+            category: challenge?.category || null,
+            actions: 1,
+            co2Saved: 0,
+            plasticReduced: 0,
+            createdAt: new Date(),
+          });
+        }
+
+        // If finished, create livestatics entry
+        const finished =
+          status === CHALLENGE_STATUS.COMPLETED &&
+          (await recordCompletion(userChallenge, challenge));
+
+        // Return updated userChallenge
+        const updatedChallenge = await userChallenges.findOne({
+          _id: userChallenge._id,
+        });
+        const newBadges = finished
+          ? await awardBadges(userChallenge.email, ["completions"])
+          : [];
+        res.status(200).json({ ...updatedChallenge, newBadges });
+      } catch (err) {
+        next(err);
+      }
+    }
+  ); // in use
+
+  //  POST API — Finish a Challenge
+  // identity comes from the token; finishing twice is a no-op
+  app.post(
+    "/api/finish-challenge",
+    verifyFirebaseToken,
+    async (req, res, next) => {
+      try {
+        const { challengeId } = req.body ?? {};
+        const email = req.user.email;
+
+        if (!ObjectId.isValid(challengeId)) {
+          return res.status(400).json({ message: "Invalid challenge id" });
+        }
+
+        // Step 1: Find the caller's record for this challenge
+        const userChallenge = await userChallenges.findOne({
+          email,
+          challengeId: new ObjectId(challengeId),
+        });
+        if (!userChallenge) {
+          return res.status(404).json({ message: "User challenge not found!" });
+        }
+
+        // Step 2: Find the main challenge details
+        const challenge = await challenges.findOne({
+          _id: new ObjectId(challengeId),
+        });
+        if (!challenge) {
+          return res.status(404).json({ message: "Challenge not found!" });
+        }
+
+        // Step 3: Mark completed + save to 'livestatics' (only once)
+        const finished = await recordCompletion(userChallenge, challenge);
+        if (!finished) {
+          return res.status(200).json({
+            message: "Challenge already finished",
+            alreadyFinished: true,
+            newBadges: [],
+          });
+        }
+
+        const newBadges = await awardBadges(email, ["completions"]);
+
+        res.status(200).json({
+          message: "Challenge marked as finished successfully!",
+          newBadges,
+        });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // Personal impact dashboard - totals, categories and time series
+  app.get(
+    "/api/users/me/impact",
+    verifyFirebaseToken,
+    async (req, res, next) => {
+      try {
+        const email = req.user.email;
+        const timezone = req.query.tz || "UTC";
+        if (typeof timezone !== "string" || !isValidTimeZone(timezone)) {
+          return res.status(400).json({ message: "Invalid timezone" });
+        }
+        const now = new Date();
+        const daysAgo = (days) => new Date(now.getTime() - days * 86400000);
+
+        // one bucketed series per chart granularity
+        const series = (unit, since) => [
+          { $match: { createdAt: { $gte: since } } },
+          {
+            $group: {
+              _id: {
+                $dateTrunc: { date: "$createdAt", unit, timezone },
+              },
+              actions: { $sum: "$actions" },
+              co2Saved: { $sum: "$co2Saved" },
+              plasticReduced: { $sum: "$plasticReduced" },
+            },
+          },
+          { $sort: { _id: 1 } },
+          {
+            $project: {
+              _id: 0,
+              date: "$_id",
+              actions: 1,
+              co2Saved: 1,
+              plasticReduced: 1,
+            },
+          },
+        ];
+
+        const [result] = await impactLedger
+          .aggregate([
+            { $match: { email } },
+            {
+              $facet: {
+                totals: [
+                  {
+                    $group: {
+                      _id: null,
+                      actions: { $sum: "$actions" },
+                      co2Saved: { $sum: "$co2Saved" },
+                      plasticReduced: { $sum: "$plasticReduced" },
+                      challenges: { $addToSet: "$challengeId" },
+                    },
+                  },
+                ],
+                byCategory: [
+                  {
+                    $group: {
+                      _id: "$category",
+                      actions: { $sum: "$actions" },
+                      co2Saved: { $sum: "$co2Saved" },
+                      plasticReduced: { $sum: "$plasticReduced" },
+                    },
+                  },
+                  { $sort: { co2Saved: -1 } },
+                  {
+                    $project: {
+                      _id: 0,
+                      category: "$_id",
+                      actions: 1,
+                      co2Saved: 1,
+                      plasticReduced: 1,
+                    },
+                  },
+                ],
+                daily: series("day", daysAgo(30)),
+                weekly: series("week", daysAgo(12 * 7)),
+                monthly: series("month", daysAgo(365)),
+              },
+            },
+          ])
+          .toArray();
+
+        const totals = result.totals[0];
+        res.json({
+          totals: {
+            actions: totals?.actions || 0,
+            co2Saved: totals?.co2Saved || 0,
+            plasticReduced: totals?.plasticReduced || 0,
+            challenges: totals?.challenges.length || 0,
+          },
+          byCategory: result.byCategory,
+          series: {
+            daily: result.daily,
+            weekly: result.weekly,
+            monthly: result.monthly,
+          },
+        });
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  // User leaderboard by metric, period and category
+  app.get("/api/leaderboard", optionalFirebaseToken, async (req, res, next) => {
+    try {
+      const metric = req.query.metric || "completed";
+      const period = req.query.period || "all";
+      const category = req.query.category || null;
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+
+      if (category !== null && typeof category !== "string") {
+        return res.status(400).json({ message: "category must be given once" });
+      }
+
+      if (!LEADERBOARD_METRICS.includes(metric)) {
+        return res.status(400).json({
+          message: `metric must be one of: ${LEADERBOARD_METRICS.join(", ")}`,
+        });
+      }
+      if (!LEADERBOARD_PERIODS.includes(period)) {
+        return res.status(400).json({
+          message: `period must be one of: ${LEADERBOARD_PERIODS.join(", ")}`,
+        });
+      }
+
+      const ranking = await leaderboards.getRanking({
+        metric,
+        period,
+        category,
+      });
+
+      const top = ranking.slice(0, limit);
+      const profiles = await users
+        .find(
+          { email: { $in: top.map((r) => r.email) } },
+          { projection: { email: 1, name: 1 } }
+        )
+        .toArray();
+      // public - names only, emails stay private
+      const leaders = top.map(({ email, score, rank }) => ({
+        rank,
+        score,
+        name: profiles.find((p) => p.email === email)?.name || null,
+      }));
+
+      // the caller's own position, even outside the top N
+      let me = null;
+      if (req.user?.email) {
+        me = ranking.find((row) => row.email === req.user.email) || {
+          email: req.user.email,
+          score: 0,
+          rank: null,
+        };
+      }
+
+      res.json({
+        metric,
+        period,
+        category,
+        totalRanked: ranking.length,
+        leaders,
+        me,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }); // in use
+
+  // Badges - every rule definition
+  app.get("/api/badges", (req, res) => {
+    res.json(BADGES);
+  }); // in use
+
+  // Badges earned by a user
+  app.get("/api/users/:email/badges", async (req, res, next) => {
+    try {
+      const earned = await userBadges
+        .find({ email: req.params.email })
+        .sort({ awardedAt: 1 })
+        .toArray();
+
+      res.json(
+        earned.map((row) => ({
+          ...BADGES.find((badge) => badge.id === row.badgeId),
+          awardedAt: row.awardedAt,
+        }))
+      );
+    } catch (error) {
+      next(error);
+    }
+  }); // in use
+
+  // --- comments on tips and challenges ---
+
+  const MAX_COMMENT_DEPTH = 3;
+  const commentParents = { tips, challenges };
+
+  for (const [name, parents] of Object.entries(commentParents)) {
+    // Paginated thread - top level comments with their replies
+    app.get(`/api/${name}/:id/comments`, async (req, res, next) => {
+      try {
+        const parentId = new ObjectId(req.params.id);
+        const listQuery = parseListQuery(req.query, {
+          sortKeys: ["createdAt", "upvotes"],
+          defaultSort: "-createdAt",
+        });
+
+        const page = await findPage(
+          comments,
+          { parentType: name, parentId, depth: 0 },
+          listQuery
+        );
+
+        const replies = await comments
+          .find({ rootId: { $in: page.items.map((c) => c._id) } })
+          .sort({ createdAt: 1 })
+          .toArray();
+
+        // nest replies under the comment they answer
+        const withReplies = (comment) => ({
+          ...comment,
+          replies: replies
+            .filter((r) => r.parentCommentId?.equals(comment._id))
+            .map(withReplies),
+        });
+        page.items = page.items.map(withReplies);
+
+        sendPage(res, page, listQuery);
+      } catch (error) {
+        next(error);
+      }
+    }); // in use
+
+    // New comment or reply
+    app.post(
+      `/api/${name}/:id/comments`,
+      verifyFirebaseToken,
+      limits.comments,
+      async (req, res, next) => {
+        try {
+          const parentId = new ObjectId(req.params.id);
+          const data = validateBody(commentSchema, req, res);
+          if (!data) return;
+
+          const parentDoc = await parents.findOne({ _id: parentId });
+          if (!parentDoc) {
+            return res.status(404).json({ message: "Not found" });
+          }
+
+          let depth = 0;
+          let rootId = null;
+          let parentCommentId = null;
+          if (req.body.parentCommentId) {
+            const replyTo = await comments.findOne({
+              _id: new ObjectId(req.body.parentCommentId),
+              parentType: name,
+              parentId,
+            });
+            if (!replyTo) {
+              return res
+                .status(404)
+                .json({ message: "Parent comment not found" });
+            }
+            if (replyTo.depth + 1 >= MAX_COMMENT_DEPTH) {
+              return res.status(400).json({
+                message: `Replies can only be nested ${MAX_COMMENT_DEPTH} levels deep`,
+              });
+            }
+            depth = replyTo.depth + 1;
+            rootId = replyTo.rootId || replyTo._id;
+            parentCommentId = replyTo._id;
+          }
+
+          const comment = {
+            parentType: name,
+            parentId,
+            parentCommentId,
+            rootId,
+            depth,
+            body: data.body,
+            author: req.user.email,
+            authorName: req.user.name || null,
+            upvotes: 0,
+            upvotedUsers: [],
+            createdAt: new Date(),
+            updatedAt: new Date(),
+          };
+          const result = await comments.insertOne(comment);
+          await parents.updateOne(
+            { _id: parentId },
+            { $inc: { commentCount: 1 } }
+          );
+
+          res.status(201).json({ ...comment, _id: result.insertedId });
+        } catch (error) {
+          next(error);
+        }
+      }
+    ); // in use
+  }
+
+  // Edit own comment
+  app.patch(
+    "/api/comments/:id",
+    verifyFirebaseToken,
+    async (req, res, next) => {
+      try {
+        const _id = new ObjectId(req.params.id);
+        const data = validateBody(commentSchema, req, res);
+        if (!data) return;
+
+        const comment = await comments.findOne({ _id });
+        if (!comment || comment.deleted) {
+          return res.status(404).json({ message: "Comment not found" });
+        }
+        if (comment.author !== req.user.email) {
+          return res.status(403).json({
+            message: "Forbidden - You cannot edit other users' comments",
+          });
+        }
+
+        const updated = await comments.findOneAndUpdate(
+          { _id },
+          { $set: { body: data.body, edited: true, updatedAt: new Date() } },
+          { returnDocument: "after" }
+        );
+        res.json(updated);
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  // Delete own comment - comments with replies keep their place in the thread
+  app.delete(
+    "/api/comments/:id",
+    verifyFirebaseToken,
+    async (req, res, next) => {
+      try {
+        const _id = new ObjectId(req.params.id);
+
+        const comment = await comments.findOne({ _id });
+        if (!comment || comment.deleted) {
+          return res.status(404).json({ message: "Comment not found" });
+        }
+        if (comment.author !== req.user.email) {
+          return res.status(403).json({
+            message: "Forbidden - You cannot delete other users' comments",
+          });
+        }
+
+        const hasReplies = await comments.findOne({ parentCommentId: _id });
+        if (hasReplies) {
+          await comments.updateOne(
+            { _id },
+            {
+              $set: {
+                body: "[deleted]",
+                deleted: true,
+                updatedAt: new Date(),
+              },
+              $unset: { authorName: "" },
+            }
+          );
+        } else {
+          await comments.deleteOne({ _id });
+        }
+
+        await commentParents[comment.parentType].updateOne(
+          { _id: comment.parentId, commentCount: { $gt: 0 } },
+          { $inc: { commentCount: -1 } }
+        );
+
+        res.json({ message: "Comment deleted successfully!" });
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  // Upvote a comment - toggles like tip upvotes
+  app.put(
+    "/api/comments/:id/upvote",
+    verifyFirebaseToken,
+    limits.votes,
+    async (req, res, next) => {
+      try {
+        const _id = new ObjectId(req.params.id);
+        const userEmail = req.user.email;
+
+        const comment = await comments.findOne({ _id });
+        if (!comment || comment.deleted) {
+          return res.status(404).json({ message: "Comment not found" });
+        }
+
+        if (comment.author === userEmail) {
+          return res
+            .status(400)
+            .json({ message: "You can't upvote your own comment" });
+        }
+
+        const alreadyVoted = (comment.upvotedUsers || []).includes(userEmail);
+
+        if (alreadyVoted) {
+          await comments.updateOne(
+            { _id },
+            {
+              $inc: { upvotes: -1 },
+              $pull: { upvotedUsers: userEmail },
+            }
+          );
+          return res.json({ message: "Vote removed", voted: false });
+        }
+
+        await comments.updateOne(
+          { _id },
+          {
+            $inc: { upvotes: 1 },
+            $addToSet: { upvotedUsers: userEmail },
+          }
+        );
+        res.json({ message: "Voted successfully", voted: true });
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  // --- notifications ---
+
+  // Feed with unread count - scheduled notifications are created first
+  app.get("/api/notifications", verifyFirebaseToken, async (req, res, next) => {
+    try {
+      const email = req.user.email;
+      const listQuery = parseListQuery(
+        { limit: "20", ...req.query },
+        { sortKeys: ["createdAt"], defaultSort: "-createdAt" }
+      );
+
+      await syncScheduledNotifications(
+        email,
+        {
+          userChallenges,
+          challenges,
+          eventRsvps,
+          events,
+          notifications,
+          users,
+        },
+        notify
+      );
+
+      const filter = { email };
+      if (req.query.unread === "true") filter.read = false;
+
+      const page = await findPage(notifications, filter, listQuery);
+      const unreadCount = await notifications.countDocuments({
+        email,
+        read: false,
+      });
+
+      res.json({ ...page, unreadCount });
+    } catch (error) {
+      next(error);
+    }
+  }); // in use
+
+  app.get(
+    "/api/notifications/unread-count",
+    verifyFirebaseToken,
+    async (req, res, next) => {
+      try {
+        const unreadCount = await notifications.countDocuments({
+          email: req.user.email,
+          read: false,
+        });
+        res.json({ unreadCount });
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  app.patch(
+    "/api/notifications/read-all",
+    verifyFirebaseToken,
+    async (req, res, next) => {
+      try {
+        const result = await notifications.updateMany(
+          { email: req.user.email, read: false },
+          { $set: { read: true, readAt: new Date() } }
+        );
+        res.json({
+          message: "All notifications marked as read",
+          updated: result.modifiedCount,
+        });
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  app.patch(
+    "/api/notifications/:id/read",
+    verifyFirebaseToken,
+    async (req, res, next) => {
+      try {
+        const result = await notifications.updateOne(
+          { _id: new ObjectId(req.params.id), email: req.user.email },
+          { $set: { read: true, readAt: new Date() } }
+        );
+        if (result.matchedCount === 0) {
+          return res.status(404).json({ message: "Notification not found" });
+        }
+        res.json({ message: "Notification marked as read" });
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  app.get(
+    "/api/notifications/preferences",
+    verifyFirebaseToken,
+    async (req, res, next) => {
+      try {
+        const account = await users.findOne(
+          { email: req.user.email },
+          { projection: { notificationPreferences: 1 } }
+        );
+        res.json({
+          kinds: NOTIFICATION_KINDS,
+          preferences: resolvePreferences(account?.notificationPreferences),
+        });
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  // body: { tip_upvoted: false, event_reminder: true, ... }
+  app.put(
+    "/api/notifications/preferences",
+    verifyFirebaseToken,
+    async (req, res, next) => {
+      try {
+        const changes = Object.entries(req.body ?? {});
+        const errors = changes
+          .filter(
+            ([kind, value]) =>
+              !NOTIFICATION_KINDS[kind] || typeof value !== "boolean"
+          )
+          .map(([kind]) => ({
+            field: kind,
+            message: `${kind} must be a known kind with a boolean value`,
+          }));
+        if (errors.length > 0) {
+          return res.status(400).json({ message: "Validation failed", errors });
+        }
+
+        const $set = Object.fromEntries(
+          changes.map(([kind, value]) => [
+            `notificationPreferences.${kind}`,
+            value,
+          ])
+        );
+        const result = await users.findOneAndUpdate(
+          { email: req.user.email },
+          { $set },
+          {
+            returnDocument: "after",
+            projection: { notificationPreferences: 1 },
+          }
+        );
+        if (!result) {
+          return res.status(404).json({ message: "User not found" });
+        }
+
+        res.json({
+          preferences: resolvePreferences(result.notificationPreferences),
+        });
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  // --- personal data export & account deletion ---
+
+  // ?format=zip returns one CSV per section plus export.json
+  app.get(
+    "/api/users/me/export",
+    verifyFirebaseToken,
+    async (req, res, next) => {
+      try {
+        const email = req.user.email;
+
+        const profile = await users.findOne(
+          { email },
+          { projection: { calendarTokenHash: 0 } }
+        );
+        const [
+          joinedChallenges,
+          completions,
+          impact,
+          authoredTips,
+          authoredComments,
+          badges,
+          eventRsvpList,
+          memberOf,
+        ] = await Promise.all([
+          userChallenges.find({ email }).toArray(),
+          livestatics.find({ email }).toArray(),
+          impactLedger.find({ email }).sort({ createdAt: 1 }).toArray(),
+          tips
+            .find({ author: email }, { projection: { upvotedUsers: 0 } })
+            .toArray(),
+          comments
+            .find({ author: email }, { projection: { upvotedUsers: 0 } })
+            .toArray(),
+          userBadges.find({ email }).toArray(),
+          eventRsvps.find({ email }).toArray(),
+          teams
+            .find(
+              { "members.email": email },
+              { projection: { name: 1, members: 1 } }
+            )
+            .toArray(),
+        ]);
+
+        const sections = {
+          profile,
+          challenges: joinedChallenges,
+          completions,
+          impact,
+          tips: authoredTips,
+          comments: authoredComments,
+          badges,
+          events: eventRsvpList,
+          teams: memberOf.map((team) => {
+            const { role, joinedAt } = teamMember(team, email);
+            return { teamId: team._id, name: team.name, role, joinedAt };
+          }),
+        };
+
+        if (req.query.format === "zip") {
+          return await sendExportZip(res, "ecotrack-export.zip", sections);
+        }
+
+        res.set(
+          "Content-Disposition",
+          'attachment; filename="ecotrack-export.json"'
+        );
+        res.json({ exportedAt: new Date(), ...sections });
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  // Delete the account and everything tied to it
+  app.delete("/api/users/me", verifyFirebaseToken, async (req, res, next) => {
+    try {
+      await deleteUserData(req.user.email);
+
+      try {
+        await deleteUser(req.user.uid);
+      } catch (error) {
+        logger.error("Sign-in account deletion failed", error);
+      }
+
+      res.json({ message: "Your account and data have been deleted" });
+    } catch (error) {
+      next(error);
+    }
+  }); // in use
+
+  // --- teams ---
+
+  const teamMemberOnly = requireTeam(teams);
+  const teamOwnerOnly = requireTeam(teams, { ownerOnly: true });
+  const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+  // Create a team - the creator is its first owner
+  app.post(
+    "/api/teams",
+    verifyFirebaseToken,
+    limits.content,
+    async (req, res, next) => {
+      try {
+        const data = validateBody(teamSchema, req, res);
+        if (!data) return;
+
+        const now = new Date();
+        const team = {
+          ...data,
+          inviteCode: generateInviteCode(),
+          members: [
+            {
+              email: req.user.email,
+              name: req.user.name || null,
+              role: "owner",
+              joinedAt: now,
+            },
+          ],
+          invites: [],
+          createdBy: req.user.email,
+          createdAt: now,
+        };
+        const result = await teams.insertOne(team);
+
+        res
+          .status(201)
+          .json(teamView({ ...team, _id: result.insertedId }, req.user.email));
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  // teams the current user belongs to
+  app.get("/api/teams/my", verifyFirebaseToken, async (req, res, next) => {
+    try {
+      const mine = await teams
+        .find({ "members.email": req.user.email })
+        .sort({ createdAt: -1 })
+        .toArray();
+      res.json(mine.map((team) => teamView(team, req.user.email)));
+    } catch (error) {
+      next(error);
+    }
+  }); // in use
+
+  // pending invites for the current user
+  app.get("/api/teams/invites", verifyFirebaseToken, async (req, res, next) => {
+    try {
+      const invitedTo = await teams
+        .find(
+          { "invites.email": req.user.email },
+          { projection: { name: 1, description: 1, members: 1, invites: 1 } }
+        )
+        .toArray();
+
+      res.json(
+        invitedTo.map((team) => {
+          const invite = team.invites.find((i) => i.email === req.user.email);
+          return {
+            teamId: team._id,
+            name: team.name,
+            description: team.description || null,
+            memberCount: team.members.length,
+            invitedBy: invite.invitedBy,
+            invitedAt: invite.invitedAt,
+          };
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }); // in use
+
+  // Join with an invite code - { code }
+  app.post(
+    "/api/teams/join",
+    verifyFirebaseToken,
+    limits.joins,
+    async (req, res, next) => {
+      try {
+        const code = normalizeInviteCode(req.body?.code);
+        const team = code ? await teams.findOne({ inviteCode: code }) : null;
+        if (!team) {
+          return res.status(404).json({ message: "Invalid invite code" });
+        }
+        if (teamMember(team, req.user.email)) {
+          return res
+            .status(400)
+            .json({ message: "You are already in this team" });
+        }
+
+        const updated = await addTeamMember(team, req.user);
+        if (!updated) {
+          return res.status(409).json({ message: "This team is full" });
+        }
+
+        res.json({
+          message: `You joined "${team.name}"`,
+          team: teamView(updated, req.user.email),
+        });
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  app.get("/api/teams/:id", verifyFirebaseToken, teamMemberOnly, (req, res) => {
+    res.json(teamView(req.team, req.user.email));
+  }); // in use
+
+  // Rename / describe - owners only
+  app.patch(
+    "/api/teams/:id",
+    verifyFirebaseToken,
+    teamOwnerOnly,
+    async (req, res, next) => {
+      try {
+        const updated = validateBody(teamSchema, req, res, { partial: true });
+        if (!updated) return;
+        updated.updatedAt = new Date();
+
+        const result = await teams.findOneAndUpdate(
+          { _id: req.team._id },
+          { $set: updated },
+          { returnDocument: "after" }
+        );
+        res.json(teamView(result, req.user.email));
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  // Delete the team - members keep their own challenge records
+  app.delete(
+    "/api/teams/:id",
+    verifyFirebaseToken,
+    teamOwnerOnly,
+    async (req, res, next) => {
+      try {
+        await deleteTeam(req.team._id);
+        res.json({ message: "Team deleted" });
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  // New invite code - the old one stops working
+  app.post(
+    "/api/teams/:id/invite-code",
+    verifyFirebaseToken,
+    teamOwnerOnly,
+    async (req, res, next) => {
+      try {
+        const inviteCode = generateInviteCode();
+        await teams.updateOne({ _id: req.team._id }, { $set: { inviteCode } });
+        res.json({ inviteCode });
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  // Invite someone by email - { email }
+  app.post(
+    "/api/teams/:id/invites",
+    verifyFirebaseToken,
+    teamOwnerOnly,
+    limits.content,
+    async (req, res, next) => {
+      try {
+        const email =
+          typeof req.body?.email === "string"
+            ? req.body.email.trim().toLowerCase()
+            : "";
+        if (!EMAIL_PATTERN.test(email)) {
+          return res.status(400).json({
+            message: "Validation failed",
+            errors: [{ field: "email", message: "email must be valid" }],
+          });
+        }
+        if (teamMember(req.team, email)) {
+          return res
+            .status(400)
+            .json({ message: "This user is already in the team" });
+        }
+
+        const result = await teams.updateOne(
+          { _id: req.team._id, "invites.email": { $ne: email } },
+          {
+            $push: {
+              invites: {
+                email,
+                invitedBy: req.user.email,
+                invitedAt: new Date(),
+              },
+            },
+          }
+        );
+        if (result.modifiedCount === 0) {
+          return res
+            .status(400)
+            .json({ message: "This user has already been invited" });
+        }
+
+        await notify(email, "team_invite", {
+          title: "Team invite",
+          message: `${req.user.name || req.user.email} invited you to join "${req.team.name}".`,
+          link: "/teams/invites",
+        });
+        res.status(201).json({ message: "Invite sent" });
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  // Accept an invite
+  app.post(
+    "/api/teams/:id/invites/accept",
+    verifyFirebaseToken,
+    limits.joins,
+    async (req, res, next) => {
+      try {
+        const team = await teams.findOne({
+          _id: new ObjectId(req.params.id),
+          "invites.email": req.user.email,
+        });
+        if (!team) {
+          return res.status(404).json({ message: "Invite not found" });
+        }
+
+        const updated = await addTeamMember(team, req.user);
+        if (!updated) {
+          return res.status(409).json({
+            message: teamMember(team, req.user.email)
+              ? "You are already in this team"
+              : "This team is full",
+          });
+        }
+
+        res.json({
+          message: `You joined "${team.name}"`,
+          team: teamView(updated, req.user.email),
+        });
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  // Withdraw (owner) or decline (invitee) an invite
+  app.delete(
+    "/api/teams/:id/invites/:email",
+    verifyFirebaseToken,
+    async (req, res, next) => {
+      try {
+        const email = req.params.email.toLowerCase();
+        const team = await teams.findOne({ _id: new ObjectId(req.params.id) });
+        if (!team) {
+          return res.status(404).json({ message: "Team not found" });
+        }
+        if (!isTeamOwner(team, req.user.email) && email !== req.user.email) {
+          return res
+            .status(403)
+            .json({ message: "Forbidden - Only team owners can do this" });
+        }
+
+        const result = await teams.updateOne(
+          { _id: team._id },
+          { $pull: { invites: { email } } }
+        );
+        if (result.modifiedCount === 0) {
+          return res.status(404).json({ message: "Invite not found" });
+        }
+        res.json({ message: "Invite removed" });
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  // Leave a team - an owner leaving hands over to the next member
+  app.post(
+    "/api/teams/:id/leave",
+    verifyFirebaseToken,
+    teamMemberOnly,
+    async (req, res, next) => {
+      try {
+        const remaining = await removeTeamMember(req.team, req.user.email);
+        res.json({
+          message: remaining
+            ? "You left the team"
+            : "You left the team - it had no other members and was deleted",
+        });
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  // Change a member's role - { role: "owner" | "member" }
+  app.patch(
+    "/api/teams/:id/members/:email",
+    verifyFirebaseToken,
+    teamOwnerOnly,
+    async (req, res, next) => {
+      try {
+        const { role } = req.body || {};
+        if (!TEAM_ROLES.includes(role)) {
+          return res.status(400).json({
+            message: `role must be one of: ${TEAM_ROLES.join(", ")}`,
+          });
+        }
+
+        const member = teamMember(req.team, req.params.email);
+        if (!member) {
+          return res.status(404).json({ message: "Member not found" });
+        }
+        const owners = req.team.members.filter((m) => m.role === "owner");
+        if (
+          role === "member" &&
+          owners.length === 1 &&
+          member.role === "owner"
+        ) {
+          return res
+            .status(409)
+            .json({ message: "A team needs at least one owner" });
+        }
+
+        const result = await teams.findOneAndUpdate(
+          { _id: req.team._id, "members.email": member.email },
+          { $set: { "members.$.role": role } },
+          { returnDocument: "after" }
+        );
+        res.json(teamView(result, req.user.email));
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  // Remove a member - owners use /leave to remove themselves
+  app.delete(
+    "/api/teams/:id/members/:email",
+    verifyFirebaseToken,
+    teamOwnerOnly,
+    async (req, res, next) => {
+      try {
+        const member = teamMember(req.team, req.params.email);
+        if (!member) {
+          return res.status(404).json({ message: "Member not found" });
+        }
+        if (member.email === req.user.email) {
+          return res
+            .status(400)
+            .json({ message: "Use /leave to leave your own team" });
+        }
+
+        const updated = await removeTeamMember(req.team, member.email);
+        res.json(teamView(updated, req.user.email));
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  // The team joins a challenge as a unit - every member is enrolled, and
+  // people who join the team later are enrolled too
+  app.post(
+    "/api/teams/:id/challenges/:challengeId",
+    verifyFirebaseToken,
+    teamOwnerOnly,
+    limits.joins,
+    async (req, res, next) => {
+      try {
+        const challenge = await challenges.findOne({
+          _id: new ObjectId(req.params.challengeId),
+          ...notHidden,
+        });
+        if (!challenge) {
+          return res.status(404).json({ message: "Challenge not found" });
+        }
+
+        let enrolled;
+        try {
+          enrolled = await enrollTeamMembers(
+            req.team,
+            challenge,
+            req.team.members.map((m) => m.email),
+            { joinedBy: req.user.email }
+          );
+        } catch (error) {
+          if (error.code === 11000 && error.keyPattern?.teamId) {
+            return res
+              .status(400)
+              .json({ message: "Your team has already joined this challenge" });
+          }
+          throw error;
+        }
+
+        res.status(201).json({
+          message: "Team joined the challenge",
+          enrolled: enrolled.length,
+          alreadyJoined: req.team.members.length - enrolled.length,
+        });
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  // The team stops taking part - members keep their own records
+  app.delete(
+    "/api/teams/:id/challenges/:challengeId",
+    verifyFirebaseToken,
+    teamOwnerOnly,
+    async (req, res, next) => {
+      try {
+        const result = await teamChallenges.deleteOne({
+          teamId: req.team._id,
+          challengeId: new ObjectId(req.params.challengeId),
+        });
+        if (result.deletedCount === 0) {
+          return res
+            .status(404)
+            .json({ message: "Your team has not joined this challenge" });
+        }
+        res.json({ message: "Team left the challenge" });
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  // Team progress and combined impact per challenge and per member,
+  // rolled up from the members' own userChallenges
+  app.get(
+    "/api/teams/:id/progress",
+    verifyFirebaseToken,
+    teamMemberOnly,
+    async (req, res, next) => {
+      try {
+        const team = req.team;
+        const joined = await teamChallenges
+          .find({ teamId: team._id })
+          .sort({ joinedAt: 1 })
+          .toArray();
+        const challengeIds = joined.map((tc) => tc.challengeId);
+
+        const completed = {
+          $sum: {
+            $cond: [{ $eq: ["$status", CHALLENGE_STATUS.COMPLETED] }, 1, 0],
+          },
+        };
+        const impact = {
+          co2Saved: { $sum: "$co2Saved" },
+          plasticReduced: { $sum: "$plasticReduced" },
+        };
+
+        const [result] = await userChallenges
+          .aggregate([
+            {
+              $match: {
+                challengeId: { $in: challengeIds },
+                email: { $in: team.members.map((m) => m.email) },
+              },
+            },
+            {
+              $facet: {
+                byChallenge: [
+                  {
+                    $group: {
+                      _id: "$challengeId",
+                      participants: { $sum: 1 },
+                      completed,
+                      averageProgress: { $avg: "$progress" },
+                      ...impact,
+                    },
+                  },
+                ],
+                byMember: [
+                  {
+                    $group: {
+                      _id: "$email",
+                      challenges: { $sum: 1 },
+                      completed,
+                      ...impact,
+                    },
+                  },
+                  { $sort: { co2Saved: -1 } },
+                ],
+              },
+            },
+          ])
+          .toArray();
+
+        const challengeDocs = await challenges
+          .find(
+            { _id: { $in: challengeIds } },
+            { projection: { title: 1, category: 1, startDate: 1, endDate: 1 } }
+          )
+          .toArray();
+
+        const perChallenge = joined.map((tc) => {
+          const row = result.byChallenge.find((r) =>
+            r._id.equals(tc.challengeId)
+          );
+          return {
+            challengeId: tc.challengeId,
+            challenge:
+              challengeDocs.find((c) => c._id.equals(tc.challengeId)) || null,
+            joinedAt: tc.joinedAt,
+            participants: row?.participants || 0,
+            completed: row?.completed || 0,
+            averageProgress: Math.round(row?.averageProgress || 0),
+            co2Saved: row?.co2Saved || 0,
+            plasticReduced: row?.plasticReduced || 0,
+          };
+        });
+
+        const sum = (field) =>
+          perChallenge.reduce((total, row) => total + row[field], 0);
+        res.json({
+          team: {
+            _id: team._id,
+            name: team.name,
+            memberCount: team.members.length,
+          },
+          totals: {
+            challenges: perChallenge.length,
+            completed: sum("completed"),
+            co2Saved: sum("co2Saved"),
+            plasticReduced: sum("plasticReduced"),
+          },
+          challenges: perChallenge,
+          members: team.members.map((member) => {
+            const row = result.byMember.find((r) => r._id === member.email);
+            return {
+              email: member.email,
+              name: member.name,
+              role: member.role,
+              challenges: row?.challenges || 0,
+              completed: row?.completed || 0,
+              co2Saved: row?.co2Saved || 0,
+              plasticReduced: row?.plasticReduced || 0,
+            };
+          }),
+        });
+      } catch (error) {
+        next(error);
+      }
+    }
+  ); // in use
+
+  // --- admin / moderator apis ---
+
+  // content staff can edit, feature or delete regardless of owner
+  const moderatedContent = {
+    challenges: {
+      collection: challenges,
+      schema: challengeSchema,
+      onDelete: deleteChallengeCascade,
+    },
+    tips: { collection: tips, schema: tipSchema, onDelete: deleteTipCascade },
+    events: {
+      collection: events,
+      // only `featured` here - staff edit event details through
+      // PATCH /api/events/:id, which keeps the date, capacity, recurrence
+      // and location rules
+      schema: {},
+      onDelete: (id) => eventRsvps.deleteMany({ eventId: id }),
+    },
+  };
+
+  for (const [name, content] of Object.entries(moderatedContent)) {
+    const { collection, schema, onDelete } = content;
+
+    app.patch(
+      `/api/admin/${name}/:id`,
+      verifyFirebaseToken,
+      requireRole("admin", "moderator"),
+      async (req, res, next) => {
+        try {
+          const _id = new ObjectId(req.params.id);
+          const updated = validateBody(
+            { ...schema, featured: { type: "boolean" } },
+            req,
+            res,
+            { partial: true }
+          );
+          if (!updated) return;
+
+          updated.updatedAt = new Date();
+          updated.updatedBy = req.user.email;
+
+          const result = await collection.findOneAndUpdate(
+            { _id },
+            { $set: updated },
+            { returnDocument: "after" }
+          );
+          if (!result) {
+            return res.status(404).json({ message: "Not found" });
+          }
+
+          res.json(result);
+        } catch (error) {
+          next(error);
+        }
+      }
+    );
+
+    app.delete(
+      `/api/admin/${name}/:id`,
+      verifyFirebaseToken,
+      requireRole("admin", "moderator"),
+      async (req, res, next) => {
+        try {
+          const _id = new ObjectId(req.params.id);
+          const result = await collection.deleteOne({ _id });
+          if (result.deletedCount === 0) {
+            return res.status(404).json({ message: "Not found" });
+          }
+          if (onDelete) await onDelete(_id);
+
+          res.json({ message: "Deleted successfully" });
+        } catch (error) {
+          next(error);
+        }
+      }
+    );
+  }
+
+  // list users with role and ban state
+  app.get(
+    "/api/admin/users",
+    verifyFirebaseToken,
+    requireRole("admin", "moderator"),
+    async (req, res, next) => {
+      try {
+        const listQuery = parseListQuery(req.query, {
+          sortKeys: ["createdAt", "lastLogin", "name", "email"],
+          defaultSort: "-createdAt",
+        });
+        const filter = {};
+        if (req.query.role) filter.role = req.query.role;
+        if (req.query.banned === "true") filter.banned = true;
+
+        const page = await findPage(users, filter, listQuery);
+        sendPage(res, page, listQuery);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // change a user's role - admins only
+  app.patch(
+    "/api/admin/users/:email/role",
+    verifyFirebaseToken,
+    requireRole("admin"),
+    async (req, res, next) => {
+      try {
+        const { role } = req.body ?? {};
+        if (!ROLES.includes(role)) {
+          return res
+            .status(400)
+            .json({ message: `role must be one of: ${ROLES.join(", ")}` });
+        }
+        if (req.params.email === req.user.email) {
+          return res
+            .status(400)
+            .json({ message: "You cannot change your own role" });
+        }
+
+        const result = await users.updateOne(
+          { email: req.params.email },
+          { $set: { role, roleUpdatedBy: req.user.email } }
+        );
+        if (result.matchedCount === 0) {
+          return res.status(404).json({ message: "User not found" });
+        }
+
+        res.json({ message: "Role updated", role });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // ban or unban a user
+  app.patch(
+    "/api/admin/users/:email/ban",
+    verifyFirebaseToken,
+    requireRole("admin", "moderator"),
+    async (req, res, next) => {
+      try {
+        const body = req.body ?? {};
+        const banned = body.banned !== false;
+        const email = req.params.email;
+
+        if (email === req.user.email) {
+          return res.status(400).json({ message: "You cannot ban yourself" });
+        }
+
+        const target = await users.findOne({ email });
+        if (!target) {
+          return res.status(404).json({ message: "User not found" });
+        }
+        // moderators cannot ban other staff
+        if (req.user.role !== "admin" && (target.role || "user") !== "user") {
+          return res
+            .status(403)
+            .json({ message: "Forbidden - Only admins can ban staff" });
+        }
+
+        await users.updateOne(
+          { email },
+          banned
+            ? {
+                $set: {
+                  banned: true,
+                  banReason: body.reason || null,
+                  bannedBy: req.user.email,
+                  bannedAt: new Date(),
+                },
+              }
+            : {
+                $set: { banned: false },
+                $unset: { banReason: "", bannedBy: "", bannedAt: "" },
+              }
+        );
+
+        res.json({ message: banned ? "User banned" : "User unbanned" });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // --- reports & moderation queue ---
+
+  const REPORT_REASONS = ["spam", "misinformation", "abuse", "other"];
+
+  // Report a tip, challenge or event
+  for (const [name, { collection }] of Object.entries(moderatedContent)) {
+    app.post(
+      `/api/${name}/:id/report`,
+      verifyFirebaseToken,
+      limits.reports,
+      async (req, res, next) => {
+        try {
+          const itemId = new ObjectId(req.params.id);
+          const { reason, details } = req.body ?? {};
+
+          if (!REPORT_REASONS.includes(reason)) {
+            return res.status(400).json({
+              message: `reason must be one of: ${REPORT_REASONS.join(", ")}`,
+            });
+          }
+
+          const item = await collection.findOne({ _id: itemId });
+          if (!item) {
+            return res.status(404).json({ message: "Not found" });
+          }
+
+          try {
+            await reports.insertOne({
+              itemType: name,
+              itemId,
+              email: req.user.email,
+              reason,
+              details:
+                typeof details === "string" ? details.slice(0, 1000) : null,
+              status: "open",
+              createdAt: new Date(),
+            });
+          } catch (error) {
+            if (error.code === 11000) {
+              return res
+                .status(400)
+                .json({ message: "You have already reported this" });
+            }
+            throw error;
+          }
+
+          await collection.updateOne(
+            { _id: itemId },
+            { $inc: { reportCount: 1 } }
+          );
+
+          res.status(201).json({ message: "Report submitted" });
+        } catch (error) {
+          next(error);
+        }
+      }
+    );
+  }
+
+  // Moderation queue - reported items with open reports, most reported first
+  app.get(
+    "/api/moderation/queue",
+    verifyFirebaseToken,
+    requireRole("admin", "moderator"),
+    async (req, res, next) => {
+      try {
+        const match = { status: "open" };
+        if (req.query.type) {
+          if (!moderatedContent[req.query.type]) {
+            return res.status(400).json({
+              message: `type must be one of: ${Object.keys(moderatedContent).join(", ")}`,
+            });
+          }
+          match.itemType = req.query.type;
+        }
+        const limit = Math.min(
+          Math.max(parseInt(req.query.limit) || 20, 1),
+          100
+        );
+
+        const queue = await reports
+          .aggregate([
+            { $match: match },
+            {
+              $group: {
+                _id: { itemType: "$itemType", itemId: "$itemId" },
+                reportCount: { $sum: 1 },
+                reasons: { $push: "$reason" },
+                lastReportedAt: { $max: "$createdAt" },
+              },
+            },
+            { $sort: { reportCount: -1, lastReportedAt: -1 } },
+            { $limit: limit },
+          ])
+          .toArray();
+
+        const result = await Promise.all(
+          queue.map(async (row) => ({
+            itemType: row._id.itemType,
+            itemId: row._id.itemId,
+            reportCount: row.reportCount,
+            reasons: row.reasons,
+            lastReportedAt: row.lastReportedAt,
+            item: await moderatedContent[row._id.itemType].collection.findOne({
+              _id: row._id.itemId,
+            }),
+          }))
+        );
+
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // Moderation decision - hide, restore or delete a reported item
+  app.patch(
+    "/api/moderation/:type/:id",
+    verifyFirebaseToken,
+    requireRole("admin", "moderator"),
+    async (req, res, next) => {
+      try {
+        const content = moderatedContent[req.params.type];
+        if (!content) {
+          return res.status(404).json({ message: "Not found" });
+        }
+        const itemId = new ObjectId(req.params.id);
+        const { action, note } = req.body ?? {};
+
+        if (!["hide", "restore", "delete"].includes(action)) {
+          return res.status(400).json({
+            message: "action must be one of: hide, restore, delete",
+          });
+        }
+
+        const decision = {
+          action,
+          note: typeof note === "string" ? note : null,
+          by: req.user.email,
+          at: new Date(),
+        };
+
+        if (action === "delete") {
+          const result = await content.collection.deleteOne({ _id: itemId });
+          if (result.deletedCount === 0) {
+            return res.status(404).json({ message: "Not found" });
+          }
+          if (content.onDelete) await content.onDelete(itemId);
+        } else {
+          const result = await content.collection.updateOne(
+            { _id: itemId },
+            {
+              $set: { hidden: action === "hide", moderation: decision },
+            }
+          );
+          if (result.matchedCount === 0) {
+            return res.status(404).json({ message: "Not found" });
+          }
+        }
+
+        // the decision closes every open report on the item
+        await reports.updateMany(
+          { itemType: req.params.type, itemId, status: "open" },
+          { $set: { status: "resolved", decision } }
+        );
+
+        res.json({ message: "Moderation decision recorded", decision });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // Full-text search across challenges, tips and events
+  app.get("/api/search", async (req, res, next) => {
+    try {
+      const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+      if (!q) {
+        return res.status(400).json({ message: "q is required" });
+      }
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+      if (
+        req.query.types !== undefined &&
+        typeof req.query.types !== "string"
+      ) {
+        return res.status(400).json({ message: "types must be given once" });
+      }
+      const types = req.query.types
+        ? req.query.types.split(",").map((t) => t.trim())
+        : ["challenges", "tips", "events"];
+      const terms = searchTerms(q);
+
+      // collection + the fields shown in the snippet, per result type
+      const sources = {
+        challenges: {
+          collection: challenges,
+          fields: ["description", "title"],
+        },
+        tips: { collection: tips, fields: ["content", "title"] },
+        events: { collection: events, fields: ["location", "title"] },
+      };
+
+      const results = {};
+      for (const type of types) {
+        const source = sources[type];
+        if (!source) {
+          return res.status(400).json({
+            message: `types must be a list of: ${Object.keys(sources).join(", ")}`,
+          });
+        }
+
+        const docs = await source.collection
+          .find(
+            { ...textFilter(q), ...notHidden },
+            {
+              projection: {
+                score: { $meta: "textScore" },
+                upvotedUsers: 0,
+              },
+            }
+          )
+          .sort({ score: { $meta: "textScore" } })
+          .limit(limit)
+          .toArray();
+
+        results[type] = docs.map((doc) => ({
+          ...doc,
+          type,
+          highlight: {
+            title: buildSnippet(doc.title, terms),
+            snippet: buildSnippet(
+              source.fields.map((f) => doc[f]).find(Boolean),
+              terms
+            ),
+          },
+        }));
+      }
+
+      res.json({ q, results });
+    } catch (error) {
+      next(error);
+    }
+  }); // in use
+
+  app.get("/", (req, res) => {
+    res.send(" EcoTrack API is running successfully!");
+  });
+
+  // anything a route throws or passes to next() ends up here
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+}
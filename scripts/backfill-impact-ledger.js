@@ -0,0 +1,80 @@
+// Writes impact ledger rows for progress logged before the ledger existed,
+// so leaderboards can rank every period from the ledger alone. Each
+// userChallenges record gets one row with whatever its running totals hold
+// beyond its existing ledger rows, dated at the join so it never lands in
+// the current week or month. Safe to run more than once.
+import dotenv from "dotenv";
+import { MongoClient, ServerApiVersion } from "mongodb";
+
+dotenv.config();
+
+const client = new MongoClient(process.env.MONGODB_URI, {
+  serverApi: {
+    version: ServerApiVersion.v1,
+    strict: true,
+    deprecationErrors: true,
+  },
+});
+
+try {
+  const db = client.db("ecoTrackDB");
+  const userChallenges = db.collection("userChallenges");
+  const challenges = db.collection("challenges");
+  const impactLedger = db.collection("impactLedger");
+
+  const logged = await impactLedger
+    .aggregate([
+      {
+        $group: {
+          _id: "$userChallengeId",
+          actions: { $sum: "$actions" },
+          co2Saved: { $sum: "$co2Saved" },
+          plasticReduced: { $sum: "$plasticReduced" },
+        },
+      },
+    ])
+    .toArray();
+  const loggedById = new Map(logged.map((row) => [String(row._id), row]));
+
+  const categories = new Map(
+    (await challenges.find({}, { projection: { category: 1 } }).toArray()).map(
+      (c) => [String(c._id), c.category || null]
+    )
+  );
+
+  const rows = [];
+  for await (const uc of userChallenges.find({})) {
+    const ledger = loggedById.get(String(uc._id)) || {};
+    const missing = (total, field) =>
+      Math.max((Number(total) || 0) - (ledger[field] || 0), 0);
+
+    const row = {
+      actions: missing(
+        (Number(uc.actionsCompleted) || 0) + (uc.completedSteps?.length || 0),
+        "actions"
+      ),
+      co2Saved: missing(uc.co2Saved, "co2Saved"),
+      plasticReduced: missing(uc.plasticReduced, "plasticReduced"),
+    };
+    if (!row.actions && !row.co2Saved && !row.plasticReduced) continue;
+
+    rows.push({
+      email: uc.email,
+      userId: uc.userId,
+      userChallengeId: uc._id,
+      challengeId: uc.challengeId,
+      category: categories.get(String(uc.challengeId)) ?? null,
+      ...row,
+      createdAt: uc.joinDate ? new Date(uc.joinDate) : new Date(0),
+      backfilled: true,
+    });
+  }
+
+  if (rows.length > 0) await impactLedger.insertMany(rows);
+  console.log(` Impact ledger backfill done - ${rows.length} rows written`);
+} catch (error) {
+  console.error(" Impact ledger backfill failed:", error);
+  process.exitCode = 1;
+} finally {
+  await client.close();
+}
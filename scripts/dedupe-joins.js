@@ -0,0 +1,96 @@
+// Removes duplicate joins (several userChallenges records for the same user
+// and challenge), recounts challenges.participants and builds the unique
+// { email, challengeId } index the API refuses to start without.
+// Safe to run more than once.
+import dotenv from "dotenv";
+import { MongoClient, ServerApiVersion } from "mongodb";
+import { CHALLENGE_STATUS } from "../utils/challengeStatus.js";
+
+dotenv.config();
+
+const client = new MongoClient(process.env.MONGODB_URI, {
+  serverApi: {
+    version: ServerApiVersion.v1,
+    strict: true,
+    deprecationErrors: true,
+  },
+});
+
+// the record furthest along wins, then the earliest join
+function keepFirst(a, b) {
+  const done = (doc) => (doc.status === CHALLENGE_STATUS.COMPLETED ? 1 : 0);
+  return (
+    done(b) - done(a) ||
+    (b.progress || 0) - (a.progress || 0) ||
+    new Date(a.joinDate || 0) - new Date(b.joinDate || 0)
+  );
+}
+
+try {
+  const db = client.db("ecoTrackDB");
+  const userChallenges = db.collection("userChallenges");
+  const challenges = db.collection("challenges");
+  const impactLedger = db.collection("impactLedger");
+
+  const groups = await userChallenges
+    .aggregate([
+      {
+        $group: {
+          _id: { email: "$email", challengeId: "$challengeId" },
+          docs: {
+            $push: {
+              _id: "$_id",
+              status: "$status",
+              progress: "$progress",
+              joinDate: "$joinDate",
+            },
+          },
+        },
+      },
+      { $match: { "docs.1": { $exists: true } } },
+    ])
+    .toArray();
+
+  let removed = 0;
+  for (const { docs } of groups) {
+    const [kept, ...extra] = docs.sort(keepFirst);
+    const extraIds = extra.map((doc) => doc._id);
+
+    // ledger rows stay, pointing at the surviving record
+    await impactLedger.updateMany(
+      { userChallengeId: { $in: extraIds } },
+      { $set: { userChallengeId: kept._id } }
+    );
+    const result = await userChallenges.deleteMany({ _id: { $in: extraIds } });
+    removed += result.deletedCount;
+  }
+
+  const counts = await userChallenges
+    .aggregate([{ $group: { _id: "$challengeId", participants: { $sum: 1 } } }])
+    .toArray();
+  if (counts.length > 0) {
+    await challenges.bulkWrite(
+      counts.map(({ _id, participants }) => ({
+        updateOne: { filter: { _id }, update: { $set: { participants } } },
+      }))
+    );
+  }
+  await challenges.updateMany(
+    { _id: { $nin: counts.map(({ _id }) => _id) } },
+    { $set: { participants: 0 } }
+  );
+
+  await userChallenges.createIndex(
+    { email: 1, challengeId: 1 },
+    { unique: true }
+  );
+
+  console.log(
+    ` Join cleanup done - ${removed} duplicate records removed across ${groups.length} user/challenge pairs, participants recounted`
+  );
+} catch (error) {
+  console.error(" Join cleanup failed:", error);
+  process.exitCode = 1;
+} finally {
+  await client.close();
+}
@@ -0,0 +1,26 @@
+// Prints a token for AUTH_MODE=local, e.g.
+//   npm run token:local -- alice@example.com "Alice" 86400
+import dotenv from "dotenv";
+import { signLocalToken } from "../utils/auth.js";
+
+dotenv.config({ quiet: true });
+
+const [email, name, expiresIn] = process.argv.slice(2);
+if (!email) {
+  console.error(" Usage: node scripts/local-token.js <email> [name] [seconds]");
+  process.exit(1);
+}
+
+try {
+  const token = signLocalToken(
+    { email, ...(name && { name }) },
+    {
+      secret: process.env.AUTH_LOCAL_SECRET,
+      expiresInSeconds: Number(expiresIn) || 3600,
+    }
+  );
+  console.log(token);
+} catch (error) {
+  console.error(" Could not sign token:", error.message);
+  process.exitCode = 1;
+}
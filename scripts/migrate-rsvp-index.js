@@ -0,0 +1,39 @@
+// Drops the old one-RSVP-per-event index ({ eventId, email }) that blocks
+// RSVPs to more than one occurrence of a recurring event, and builds the
+// per-occurrence one. Safe to run more than once.
+import dotenv from "dotenv";
+import { MongoClient, ServerApiVersion } from "mongodb";
+
+dotenv.config();
+
+const LEGACY_INDEX = "eventId_1_email_1";
+
+const client = new MongoClient(process.env.MONGODB_URI, {
+  serverApi: {
+    version: ServerApiVersion.v1,
+    strict: true,
+    deprecationErrors: true,
+  },
+});
+
+try {
+  const eventRsvps = client.db("ecoTrackDB").collection("eventRsvps");
+
+  await eventRsvps.createIndex(
+    { eventId: 1, occurrence: 1, email: 1 },
+    { unique: true }
+  );
+  const legacy = await eventRsvps.indexExists(LEGACY_INDEX);
+  if (legacy) await eventRsvps.dropIndex(LEGACY_INDEX);
+
+  console.log(
+    legacy
+      ? ` RSVP index migration done - ${LEGACY_INDEX} dropped`
+      : " RSVP index migration done - nothing to drop"
+  );
+} catch (error) {
+  console.error(" RSVP index migration failed:", error);
+  process.exitCode = 1;
+} finally {
+  await client.close();
+}
@@ -0,0 +1,30 @@
+// Rewrites legacy userChallenges statuses ("Not Started", "active", ...)
+// to the canonical lifecycle values. Safe to run more than once.
+import dotenv from "dotenv";
+import { MongoClient, ServerApiVersion } from "mongodb";
+import { migrateUserChallengeStatuses } from "../utils/challengeStatus.js";
+
+dotenv.config();
+
+const client = new MongoClient(process.env.MONGODB_URI, {
+  serverApi: {
+    version: ServerApiVersion.v1,
+    strict: true,
+    deprecationErrors: true,
+  },
+});
+
+try {
+  const db = client.db("ecoTrackDB");
+  const result = await migrateUserChallengeStatuses(
+    db.collection("userChallenges")
+  );
+  console.log(
+    ` Status migration done - ${result.modified} of ${result.matched} documents rewritten`
+  );
+} catch (error) {
+  console.error(" Status migration failed:", error);
+  process.exitCode = 1;
+} finally {
+  await client.close();
+}
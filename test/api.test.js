@@ -0,0 +1,230 @@
+// API smoke tests against a single-node in-memory replica set, since
+// joining and completing run in transactions. The first run downloads a
+// MongoDB binary into the mongodb-memory-server cache.
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { MongoClient, ObjectId } from "mongodb";
+import { MongoMemoryReplSet } from "mongodb-memory-server";
+import { createLocalAuth, signLocalToken } from "../utils/auth.js";
+
+// the logger reads its level on import
+process.env.LOG_LEVEL ??= "error";
+const { createApp } = await import("../app.js");
+
+const SECRET = "test-secret";
+const USERS = {
+  alice: { email: "alice@example.com", name: "Alice" },
+  bob: { email: "bob@example.com", name: "Bob" },
+  carol: { email: "carol@example.com", name: "Carol" },
+};
+
+let replSet;
+let client;
+let db;
+let server;
+let baseUrl;
+
+before(async () => {
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+  client = new MongoClient(replSet.getUri());
+  await client.connect();
+
+  const { verifyToken } = createLocalAuth({ secret: SECRET });
+  db = client.db("ecoTrackTest");
+  const app = await createApp({ db, verifyToken });
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  for (const user of Object.values(USERS)) {
+    await api("POST", "/api/user", { as: user, body: user });
+  }
+});
+
+after(async () => {
+  await new Promise((resolve) => server?.close(resolve));
+  await client?.close();
+  await replSet?.stop();
+});
+
+// { status, body } for one request, signed in as `as` when given
+async function api(method, path, { as, body } = {}) {
+  const headers = {};
+  if (as) {
+    headers.Authorization = `Bearer ${signLocalToken(as, { secret: SECRET })}`;
+  }
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+
+  const res = await fetch(baseUrl + path, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await res.text();
+  return { status: res.status, body: text ? JSON.parse(text) : null };
+}
+
+async function createChallenge(as) {
+  const { status, body } = await api("POST", "/api/challenges", {
+    as,
+    body: {
+      title: "Plastic-free week",
+      category: "Waste Reduction",
+      description: "No single-use plastic for a week.",
+      totalActions: 7,
+      startDate: "2026-01-01",
+      endDate: "2030-01-01",
+    },
+  });
+  assert.equal(status, 200);
+  return body.insertedId;
+}
+
+async function createEvent(as, capacity) {
+  const date = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+  const { status, body } = await api("POST", "/api/events", {
+    as,
+    body: {
+      title: "Beach clean-up",
+      description: "Bring gloves.",
+      date: date.toISOString(),
+      location: "North beach",
+      capacity,
+    },
+  });
+  assert.equal(status, 200);
+  return body.insertedId;
+}
+
+async function participants(challengeId) {
+  const { body } = await api("GET", `/api/challenges/${challengeId}`);
+  return body.participants;
+}
+
+describe("joining and leaving a challenge", () => {
+  test("counts participants once per user", async () => {
+    const id = await createChallenge(USERS.alice);
+
+    let res = await api("POST", `/api/challenges/join/${id}`, {
+      as: USERS.bob,
+    });
+    assert.equal(res.status, 200);
+    assert.equal(await participants(id), 1);
+
+    res = await api("POST", `/api/challenges/join/${id}`, { as: USERS.bob });
+    assert.equal(res.status, 400);
+    assert.equal(await participants(id), 1);
+
+    res = await api("POST", `/api/challenges/leave/${id}`, { as: USERS.bob });
+    assert.equal(res.status, 200);
+    assert.equal(await participants(id), 0);
+
+    res = await api("POST", `/api/challenges/leave/${id}`, { as: USERS.bob });
+    assert.equal(res.status, 404);
+    assert.equal(await participants(id), 0);
+  });
+});
+
+describe("finishing a challenge", () => {
+  test("completes it once", async () => {
+    const id = await createChallenge(USERS.alice);
+    await api("POST", `/api/challenges/join/${id}`, { as: USERS.bob });
+
+    const first = await api("POST", "/api/finish-challenge", {
+      as: USERS.bob,
+      body: { challengeId: id },
+    });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.alreadyFinished, undefined);
+
+    const second = await api("POST", "/api/finish-challenge", {
+      as: USERS.bob,
+      body: { challengeId: id },
+    });
+    assert.equal(second.status, 200);
+    assert.equal(second.body.alreadyFinished, true);
+
+    const rows = await db
+      .collection("livestatics")
+      .countDocuments({ challengeId: new ObjectId(id) });
+    assert.equal(rows, 1);
+  });
+});
+
+describe("event RSVPs", () => {
+  test("promote the first waitlisted user when a seat frees up", async () => {
+    const id = await createEvent(USERS.alice, 1);
+
+    const bob = await api("POST", `/api/events/join/${id}`, { as: USERS.bob });
+    assert.equal(bob.status, 201);
+    assert.equal(bob.body.status, "going");
+
+    const carol = await api("POST", `/api/events/join/${id}`, {
+      as: USERS.carol,
+    });
+    assert.equal(carol.status, 201);
+    assert.equal(carol.body.status, "waitlisted");
+
+    const left = await api("POST", `/api/events/leave/${id}`, {
+      as: USERS.bob,
+    });
+    assert.equal(left.status, 200);
+    assert.equal(left.body.promoted, USERS.carol.email);
+
+    const rsvp = await db
+      .collection("eventRsvps")
+      .findOne({ eventId: new ObjectId(id), email: USERS.carol.email });
+    assert.equal(rsvp.status, "going");
+  });
+});
+
+describe("ownership", () => {
+  test("only the creator edits or deletes a challenge", async () => {
+    const id = await createChallenge(USERS.alice);
+
+    const edit = await api("PATCH", `/api/challenges/${id}`, {
+      as: USERS.bob,
+      body: { title: "Taken over" },
+    });
+    assert.equal(edit.status, 403);
+
+    const remove = await api("DELETE", `/api/challenges/${id}`, {
+      as: USERS.bob,
+    });
+    assert.equal(remove.status, 403);
+  });
+
+  test("only the author edits or deletes a tip", async () => {
+    const created = await api("POST", "/api/tips", {
+      as: USERS.alice,
+      body: { title: "Refill", category: "Waste", content: "Carry a bottle." },
+    });
+    const id = created.body.insertedId;
+
+    const edit = await api("PUT", `/api/tips/${id}`, {
+      as: USERS.bob,
+      body: { title: "Mine now" },
+    });
+    assert.equal(edit.status, 403);
+
+    const remove = await api("DELETE", `/api/tips/${id}`, { as: USERS.bob });
+    assert.equal(remove.status, 403);
+  });
+
+  test("only the owner updates a joined challenge", async () => {
+    const challengeId = await createChallenge(USERS.alice);
+    await api("POST", `/api/challenges/join/${challengeId}`, {
+      as: USERS.bob,
+    });
+    const { _id } = await db.collection("userChallenges").findOne({
+      email: USERS.bob.email,
+      challengeId: new ObjectId(challengeId),
+    });
+
+    const res = await api("PATCH", `/api/user-challenges/update/${_id}`, {
+      as: USERS.carol,
+      body: { actionsCompleted: 1 },
+    });
+    assert.equal(res.status, 403);
+  });
+});
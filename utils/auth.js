@@ -0,0 +1,133 @@
+// Token verifiers handed to createApp. Each one is an object with
+// verifyToken(token) -> decoded claims ({ uid, email, name, ... }) and
+// deleteUser(uid), so routes never talk to firebase-admin directly.
+import crypto from "node:crypto";
+import fs from "node:fs";
+import admin from "firebase-admin";
+
+export const AUTH_MODES = ["firebase", "local"];
+
+export class AuthConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AuthConfigError";
+  }
+}
+
+// --- firebase ---
+
+// the key file next to package.json, found from this module rather than
+// the working directory so bundlers trace it into the deployment
+const DEFAULT_SERVICE_ACCOUNT = new URL(
+  "../firebase-adminsdk.json",
+  import.meta.url
+);
+
+function loadServiceAccount() {
+  if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+    return JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+  }
+  const path =
+    process.env.FIREBASE_SERVICE_ACCOUNT_PATH || DEFAULT_SERVICE_ACCOUNT;
+  return JSON.parse(fs.readFileSync(path, "utf8"));
+}
+
+/**
+ * Verifier backed by Firebase Auth. Credentials are read here, not at import
+ * time, so loading the app never needs them in local mode.
+ */
+export function createFirebaseAuth() {
+  if (!admin.apps.length) {
+    admin.initializeApp({
+      credential: admin.credential.cert(loadServiceAccount()),
+    });
+  }
+
+  return {
+    mode: "firebase",
+    verifyToken: (token) => admin.auth().verifyIdToken(token),
+    deleteUser: (uid) => admin.auth().deleteUser(uid),
+  };
+}
+
+// --- local (dev / test) ---
+// HS256 JWTs signed with AUTH_LOCAL_SECRET. Claims mirror the fields we
+// read from Firebase ID tokens: uid, email, name.
+
+const base64url = (value) => Buffer.from(value).toString("base64url");
+
+function sign(input, secret) {
+  return crypto.createHmac("sha256", secret).update(input).digest("base64url");
+}
+
+/**
+ * Sign a token the local verifier accepts.
+ * `claims` needs at least an email; uid defaults to one derived from it.
+ */
+export function signLocalToken(claims, { secret, expiresInSeconds = 3600 }) {
+  if (!secret) throw new AuthConfigError("A signing secret is required");
+  if (!claims?.email) throw new AuthConfigError("Local tokens need an email");
+
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    uid: `local:${claims.email.toLowerCase()}`,
+    email_verified: true,
+    ...claims,
+    iat: now,
+    exp: now + expiresInSeconds,
+  };
+  const body = `${base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }))}.${base64url(JSON.stringify(payload))}`;
+  return `${body}.${sign(body, secret)}`;
+}
+
+export function createLocalAuth({ secret }) {
+  if (!secret) throw new AuthConfigError("AUTH_LOCAL_SECRET is not set");
+
+  return {
+    mode: "local",
+    async verifyToken(token) {
+      const [header, payload, signature] = String(token).split(".");
+      if (!header || !payload || !signature) {
+        throw new Error("Malformed token");
+      }
+
+      const expected = Buffer.from(sign(`${header}.${payload}`, secret));
+      const actual = Buffer.from(signature);
+      if (
+        expected.length !== actual.length ||
+        !crypto.timingSafeEqual(expected, actual)
+      ) {
+        throw new Error("Invalid token signature");
+      }
+
+      const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+      if (!claims.exp || claims.exp * 1000 <= Date.now()) {
+        throw new Error("Token expired");
+      }
+      return claims;
+    },
+    // nothing to clean up - the token issuer is us
+    async deleteUser() {},
+  };
+}
+
+/**
+ * Pick the verifier from AUTH_MODE (default "firebase").
+ * Local mode is refused when NODE_ENV is "production".
+ */
+export function authFromEnv(env = process.env) {
+  const mode = env.AUTH_MODE || "firebase";
+  if (!AUTH_MODES.includes(mode)) {
+    throw new AuthConfigError(
+      `AUTH_MODE must be one of: ${AUTH_MODES.join(", ")}`
+    );
+  }
+
+  if (mode === "local") {
+    if (env.NODE_ENV === "production") {
+      throw new AuthConfigError("AUTH_MODE=local is not allowed in production");
+    }
+    return createLocalAuth({ secret: env.AUTH_LOCAL_SECRET });
+  }
+  return createFirebaseAuth();
+}
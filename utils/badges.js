@@ -0,0 +1,138 @@
+// Badge rules are plain data - add a badge by adding an entry here.
+//
+// rule.type:
+//   completions     finished challenges (livestatics), optional category
+//   co2Saved        kg of CO2 saved across all joined challenges
+//   plasticReduced  kg of plastic reduced across all joined challenges
+//   upvotedTips     tips with at least `minUpvotes` upvotes
+
+export const BADGES = [
+  {
+    id: "first-challenge",
+    name: "First Step",
+    description: "Complete your first challenge",
+    rule: { type: "completions", count: 1 },
+  },
+  {
+    id: "five-challenges",
+    name: "Committed",
+    description: "Complete 5 challenges",
+    rule: { type: "completions", count: 5 },
+  },
+  {
+    id: "waste-reduction-5",
+    name: "Waste Warrior",
+    description: "Complete 5 Waste Reduction challenges",
+    rule: { type: "completions", category: "Waste Reduction", count: 5 },
+  },
+  {
+    id: "energy-conservation-5",
+    name: "Power Saver",
+    description: "Complete 5 Energy Conservation challenges",
+    rule: { type: "completions", category: "Energy Conservation", count: 5 },
+  },
+  {
+    id: "co2-10kg",
+    name: "Carbon Cutter",
+    description: "Save 10 kg of CO2",
+    rule: { type: "co2Saved", amount: 10 },
+  },
+  {
+    id: "co2-100kg",
+    name: "Climate Champion",
+    description: "Save 100 kg of CO2",
+    rule: { type: "co2Saved", amount: 100 },
+  },
+  {
+    id: "plastic-5kg",
+    name: "Plastic Free",
+    description: "Reduce 5 kg of plastic",
+    rule: { type: "plasticReduced", amount: 5 },
+  },
+  {
+    id: "helpful-tips",
+    name: "Trusted Voice",
+    description: "Write 3 tips with 10 or more upvotes",
+    rule: { type: "upvotedTips", minUpvotes: 10, count: 3 },
+  },
+];
+
+async function sumField(userChallenges, email, field) {
+  const [row] = await userChallenges
+    .aggregate([
+      { $match: { email } },
+      { $group: { _id: null, total: { $sum: `$${field}` } } },
+    ])
+    .toArray();
+  return row?.total || 0;
+}
+
+// current value a rule is measured against
+function measure(rule, email, { livestatics, userChallenges, tips }) {
+  switch (rule.type) {
+    case "completions":
+      return livestatics.countDocuments(
+        rule.category ? { email, category: rule.category } : { email }
+      );
+    case "co2Saved":
+    case "plasticReduced":
+      return sumField(userChallenges, email, rule.type);
+    case "upvotedTips":
+      return tips.countDocuments({
+        author: email,
+        upvotes: { $gte: rule.minUpvotes },
+      });
+    default:
+      return 0;
+  }
+}
+
+function isMet(rule, value) {
+  return rule.amount !== undefined ? value >= rule.amount : value >= rule.count;
+}
+
+/**
+ * Check every badge the user does not have yet and award the ones whose
+ * rule is now met. `types` limits the check to the rule types an action
+ * can affect. Returns the newly awarded badges.
+ */
+export async function checkBadges(email, collections, types = null) {
+  if (!email) return [];
+  const { userBadges } = collections;
+
+  const owned = await userBadges
+    .find({ email }, { projection: { badgeId: 1 } })
+    .toArray();
+  const ownedIds = new Set(owned.map((b) => b.badgeId));
+
+  const candidates = BADGES.filter(
+    (badge) =>
+      !ownedIds.has(badge.id) && (!types || types.includes(badge.rule.type))
+  );
+
+  // rules sharing a measurement only hit the database once
+  const values = new Map();
+  const awarded = [];
+
+  for (const badge of candidates) {
+    const key = JSON.stringify(badge.rule, ["type", "category", "minUpvotes"]);
+    if (!values.has(key)) {
+      values.set(key, await measure(badge.rule, email, collections));
+    }
+    if (!isMet(badge.rule, values.get(key))) continue;
+
+    try {
+      await userBadges.insertOne({
+        email,
+        badgeId: badge.id,
+        awardedAt: new Date(),
+      });
+      awarded.push(badge);
+    } catch (error) {
+      // awarded by a concurrent request in the meantime
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  return awarded;
+}
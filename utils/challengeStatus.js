@@ -0,0 +1,87 @@
+// Single status lifecycle for userChallenges documents.
+// not_started -> in_progress -> completed (completed is final)
+
+export const CHALLENGE_STATUS = {
+  NOT_STARTED: "not_started",
+  IN_PROGRESS: "in_progress",
+  COMPLETED: "completed",
+};
+
+const TRANSITIONS = {
+  [CHALLENGE_STATUS.NOT_STARTED]: [
+    CHALLENGE_STATUS.IN_PROGRESS,
+    CHALLENGE_STATUS.COMPLETED,
+  ],
+  [CHALLENGE_STATUS.IN_PROGRESS]: [
+    CHALLENGE_STATUS.IN_PROGRESS,
+    CHALLENGE_STATUS.COMPLETED,
+  ],
+  [CHALLENGE_STATUS.COMPLETED]: [],
+};
+
+// legacy values written by older versions of the routes
+const LEGACY_STATUS = {
+  "not started": CHALLENGE_STATUS.NOT_STARTED,
+  not_started: CHALLENGE_STATUS.NOT_STARTED,
+  "in progress": CHALLENGE_STATUS.IN_PROGRESS,
+  in_progress: CHALLENGE_STATUS.IN_PROGRESS,
+  active: CHALLENGE_STATUS.IN_PROGRESS,
+  completed: CHALLENGE_STATUS.COMPLETED,
+};
+
+// map any stored value to its canonical status
+export function normalizeStatus(status) {
+  if (typeof status !== "string") return CHALLENGE_STATUS.NOT_STARTED;
+  return (
+    LEGACY_STATUS[status.trim().toLowerCase()] || CHALLENGE_STATUS.NOT_STARTED
+  );
+}
+
+export function canTransition(from, to) {
+  return TRANSITIONS[normalizeStatus(from)].includes(to);
+}
+
+// status that matches a progress percentage
+export function statusForProgress(progress) {
+  if (progress >= 100) return CHALLENGE_STATUS.COMPLETED;
+  if (progress > 0) return CHALLENGE_STATUS.IN_PROGRESS;
+  return CHALLENGE_STATUS.NOT_STARTED;
+}
+
+// Error thrown when a route asks for a transition the lifecycle forbids
+export class StatusTransitionError extends Error {
+  constructor(from, to) {
+    super(`Cannot move challenge from "${from}" to "${to}"`);
+    this.name = "StatusTransitionError";
+    this.status = 409;
+  }
+}
+
+export function assertTransition(from, to) {
+  const current = normalizeStatus(from);
+  if (!canTransition(current, to)) {
+    throw new StatusTransitionError(current, to);
+  }
+  return to;
+}
+
+// One-shot rewrite of legacy status values to the canonical ones
+export async function migrateUserChallengeStatuses(userChallenges) {
+  const canonical = Object.values(CHALLENGE_STATUS);
+  const stale = await userChallenges
+    .find({ status: { $nin: canonical } }, { projection: { status: 1 } })
+    .toArray();
+
+  if (stale.length === 0) return { matched: 0, modified: 0 };
+
+  const result = await userChallenges.bulkWrite(
+    stale.map((doc) => ({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { status: normalizeStatus(doc.status) } },
+      },
+    }))
+  );
+
+  return { matched: stale.length, modified: result.modifiedCount };
+}
@@ -0,0 +1,81 @@
+// Daily check-ins and streaks for userChallenges records.
+// A check-in is stored as the user's local calendar day ("YYYY-MM-DD").
+
+export const CHECK_IN_CADENCES = ["none", "daily", "weekly"];
+
+const DAY_MS = 86400000;
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// calendar day of `date` in the given IANA time zone
+export function localDay(date, timeZone = "UTC") {
+  const parts = new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).formatToParts(date);
+  const get = (type) => parts.find((p) => p.type === type).value;
+  return `${get("year")}-${get("month")}-${get("day")}`;
+}
+
+function dayNumber(day) {
+  return Math.floor(Date.parse(`${day}T00:00:00Z`) / DAY_MS);
+}
+
+// index of the Monday-based week a day falls in
+function weekNumber(day) {
+  return Math.floor((dayNumber(day) + 3) / 7);
+}
+
+/**
+ * Current and longest streak in cadence units (days or weeks).
+ * The current streak is still alive if the last unit with a check-in is
+ * the current or the previous one.
+ */
+export function computeStreaks(days, cadence, today) {
+  const toUnit = cadence === "weekly" ? weekNumber : dayNumber;
+  const units = [...new Set(days.map(toUnit))].sort((a, b) => a - b);
+  if (units.length === 0) return { currentStreak: 0, longestStreak: 0 };
+
+  let longest = 1;
+  let run = 1;
+  for (let i = 1; i < units.length; i++) {
+    run = units[i] === units[i - 1] + 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  }
+
+  const last = units[units.length - 1];
+  const current = toUnit(today) - last <= 1 ? run : 0;
+
+  return { currentStreak: current, longestStreak: longest };
+}
+
+// every day of a "YYYY-MM" month with whether it has a check-in
+export function buildCalendar(days, month) {
+  const [year, mon] = month.split("-").map(Number);
+  const length = new Date(Date.UTC(year, mon, 0)).getUTCDate();
+  const checked = new Set(days);
+
+  return Array.from({ length }, (_, i) => {
+    const day = `${month}-${String(i + 1).padStart(2, "0")}`;
+    return { day, checkedIn: checked.has(day) };
+  });
+}
+
+// days that share today's cadence unit - one check-in allowed among them
+export function blockingDays(cadence, today) {
+  if (cadence !== "weekly") return [today];
+
+  const monday = (weekNumber(today) * 7 - 3) * DAY_MS;
+  return Array.from({ length: 7 }, (_, i) =>
+    new Date(monday + i * DAY_MS).toISOString().slice(0, 10)
+  );
+}
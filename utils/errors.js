@@ -0,0 +1,63 @@
+// HTTP errors and the central Express error handler.
+import { logger } from "./logger.js";
+
+export class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    if (details) this.details = details;
+  }
+}
+
+export class NotFoundError extends HttpError {
+  constructor(message = "Not found") {
+    super(404, message);
+    this.name = "NotFoundError";
+  }
+}
+
+// map anything thrown by a route to { status, message, details }
+function describe(error) {
+  // new ObjectId("not-an-id") and friends
+  if (error.name === "BSONError" || error.name === "BSONTypeError") {
+    return { status: 400, message: "Invalid id" };
+  }
+  // express.json() could not parse the body
+  if (error.type === "entity.parse.failed") {
+    return { status: 400, message: "Malformed JSON body" };
+  }
+  // HttpError, PaginationError, StatusTransitionError, ...
+  if (Number.isInteger(error.status) && error.status >= 400) {
+    return {
+      status: error.status,
+      message: error.expose === false ? "Request failed" : error.message,
+      details: error.details,
+    };
+  }
+  return { status: 500, message: "Internal Server Error" };
+}
+
+// unknown routes - registered after every route
+export function notFoundHandler(req, res) {
+  res.status(404).json({ message: "Route not found", requestId: req.id });
+}
+
+// one error envelope for the whole API: { message, requestId, details? }
+export function errorHandler(error, req, res, next) {
+  const { status, message, details } = describe(error);
+
+  if (status >= 500) logger.error("Unhandled route error", error);
+
+  if (res.headersSent) {
+    // a stream (export zip, SSE) failed half way - nothing to send anymore
+    res.destroy(error);
+    return;
+  }
+
+  res.status(status).json({
+    message,
+    requestId: req.id,
+    ...(details && { details }),
+  });
+}
@@ -0,0 +1,46 @@
+// Personal data export - JSON archive and a zip of one CSV per section.
+import { ZipArchive } from "archiver";
+import { ObjectId } from "mongodb";
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (value instanceof ObjectId) text = value.toString();
+  else if (typeof value === "object") text = JSON.stringify(value);
+  else text = String(value);
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// rows of documents -> CSV with the union of their top-level fields
+export function toCsv(rows) {
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  const lines = [columns.join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((col) => csvCell(row[col])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Stream `sections` ({ name: documents[] }) as a zip with export.json and
+ * <name>.csv for every section.
+ */
+export async function sendExportZip(res, filename, sections) {
+  const archive = new ZipArchive({ zlib: { level: 9 } });
+
+  res.set({
+    "Content-Type": "application/zip",
+    "Content-Disposition": `attachment; filename="${filename}"`,
+  });
+  archive.pipe(res);
+
+  archive.append(JSON.stringify(sections, null, 2), { name: "export.json" });
+  for (const [name, rows] of Object.entries(sections)) {
+    const list = Array.isArray(rows) ? rows : [rows].filter(Boolean);
+    archive.append(toCsv(list), { name: `${name}.csv` });
+  }
+
+  await archive.finalize();
+}
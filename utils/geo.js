@@ -0,0 +1,147 @@
+// Event coordinates and the "near me" / map-view query parameters.
+// Events keep their position as a GeoJSON point in `geo`
+// ({ type: "Point", coordinates: [lng, lat] }) under a 2dsphere index.
+//
+// Query contract (/api/events, /api/events/upcomming):
+//   lat, lng, radiusKm   events within radiusKm (default 25) of the point,
+//                        nearest first, each with distanceKm
+//   bbox                 minLng,minLat,maxLng,maxLat - events inside the box
+
+const EARTH_RADIUS_KM = 6378.1;
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 500;
+
+export class GeoError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "GeoError";
+    this.status = 400;
+  }
+}
+
+const isLat = (value) => Number.isFinite(value) && value >= -90 && value <= 90;
+const isLng = (value) =>
+  Number.isFinite(value) && value >= -180 && value <= 180;
+
+export const toPoint = ({ lat, lng }) => ({
+  type: "Point",
+  coordinates: [lng, lat],
+});
+
+/**
+ * Move validated lat/lng of a create/update payload into `geo`, in place.
+ * The schema makes sure they come as a pair.
+ */
+export function applyGeoPoint(data) {
+  if (data.lat !== undefined) data.geo = toPoint(data);
+  delete data.lat;
+  delete data.lng;
+  return data;
+}
+
+/**
+ * Read the geo parameters of a list query. Returns null when there are
+ * none, { near: { lat, lng, radiusKm } } or { bbox: [w, s, e, n] }.
+ */
+export function parseGeoQuery(query) {
+  const has = (key) => query[key] !== undefined && query[key] !== "";
+  const wantsNear = ["lat", "lng", "radiusKm"].some(has);
+
+  if (has("bbox")) {
+    if (wantsNear) throw new GeoError("Use either lat/lng or bbox, not both");
+
+    const box = String(query.bbox).split(",").map(Number);
+    if (box.length !== 4 || box.some((n) => !Number.isFinite(n))) {
+      throw new GeoError("bbox must be minLng,minLat,maxLng,maxLat");
+    }
+    const [west, south, east, north] = box;
+    if (!isLng(west) || !isLng(east) || !isLat(south) || !isLat(north)) {
+      throw new GeoError("bbox coordinates are out of range");
+    }
+    if (west >= east || south >= north) {
+      throw new GeoError("bbox minimums must be below its maximums");
+    }
+    return { bbox: box };
+  }
+
+  if (!wantsNear) return null;
+  if (!has("lat") || !has("lng")) {
+    throw new GeoError("lat and lng are both required");
+  }
+
+  const lat = Number(query.lat);
+  const lng = Number(query.lng);
+  const radiusKm = has("radiusKm") ? Number(query.radiusKm) : DEFAULT_RADIUS_KM;
+  if (!isLat(lat)) throw new GeoError("lat must be between -90 and 90");
+  if (!isLng(lng)) throw new GeoError("lng must be between -180 and 180");
+  if (!(radiusKm > 0 && radiusKm <= MAX_RADIUS_KM)) {
+    throw new GeoError(`radiusKm must be above 0 and at most ${MAX_RADIUS_KM}`);
+  }
+  return { near: { lat, lng, radiusKm } };
+}
+
+// Mongo filter on `geo` for a parsed geo query ({} when there is none)
+export function geoFilter(geoQuery) {
+  if (geoQuery?.near) {
+    const { lat, lng, radiusKm } = geoQuery.near;
+    return {
+      geo: {
+        $geoWithin: {
+          $centerSphere: [[lng, lat], radiusKm / EARTH_RADIUS_KM],
+        },
+      },
+    };
+  }
+  if (geoQuery?.bbox) {
+    const [west, south, east, north] = geoQuery.bbox;
+    // polygon edges are great circles, so a box spanning 180 degrees or
+    // more (a zoomed-out map) would wrap the short way round - match the
+    // coordinates directly instead
+    if (east - west >= 180) {
+      return {
+        "geo.coordinates.0": { $gte: west, $lte: east },
+        "geo.coordinates.1": { $gte: south, $lte: north },
+      };
+    }
+    const ring = [
+      [west, south],
+      [east, south],
+      [east, north],
+      [west, north],
+      [west, south],
+    ];
+    return {
+      geo: {
+        $geoWithin: { $geometry: { type: "Polygon", coordinates: [ring] } },
+      },
+    };
+  }
+  return {};
+}
+
+// great-circle distance between { lat, lng } and a GeoJSON point
+export function distanceKm(from, point) {
+  const [lng, lat] = point.coordinates;
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const a =
+    Math.sin(rad(lat - from.lat) / 2) ** 2 +
+    Math.cos(rad(from.lat)) *
+      Math.cos(rad(lat)) *
+      Math.sin(rad(lng - from.lng) / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * For "near me" queries add distanceKm to every item and sort nearest
+ * first. Other queries come back unchanged.
+ */
+export function sortByDistance(items, geoQuery) {
+  if (!geoQuery?.near) return items;
+  return items
+    .filter((item) => item.geo)
+    .map((item) => ({
+      ...item,
+      distanceKm: Math.round(distanceKm(geoQuery.near, item.geo) * 100) / 100,
+    }))
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+}
@@ -0,0 +1,120 @@
+// Minimal iCalendar (RFC 5545) writer for event and challenge feeds.
+
+const PRODUCT_ID = "-//EcoTrack//EcoTrack API//EN";
+
+function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/\r?\n/g, "\\n")
+    .replace(/([,;])/g, "\\$1");
+}
+
+// lines longer than 75 octets continue on the next line after a space
+function fold(line) {
+  const bytes = Buffer.from(line);
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let start = 0;
+  while (start < bytes.length) {
+    let end = Math.min(start + (start === 0 ? 75 : 74), bytes.length);
+    // never split a multi-byte character
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+    parts.push(bytes.subarray(start, end).toString());
+    start = end;
+  }
+  return parts.join("\r\n ");
+}
+
+function formatDateTime(date) {
+  return date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, "");
+}
+
+/**
+ * Read a stored date. Dates without a time ("YYYY-MM-DD" strings, or
+ * Dates at exactly midnight UTC) become all-day entries.
+ */
+export function toCalendarDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+
+  const allDay =
+    (typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)) ||
+    (date.getUTCHours() === 0 &&
+      date.getUTCMinutes() === 0 &&
+      date.getUTCSeconds() === 0 &&
+      date.getUTCMilliseconds() === 0);
+
+  return { date, allDay };
+}
+
+function dateLine(name, { date, allDay }) {
+  return allDay
+    ? `${name};VALUE=DATE:${formatDate(date)}`
+    : `${name}:${formatDateTime(date)}`;
+}
+
+/**
+ * Build a VCALENDAR document.
+ * items: [{ uid, start, end, summary, description, location, url, status }]
+ * where start/end come from toCalendarDate (end is optional).
+ */
+export function buildICalendar({ name, items }) {
+  const now = formatDateTime(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+
+  for (const item of items) {
+    if (!item.start) continue;
+
+    // all-day DTEND is exclusive - the day after the last day
+    let end = item.end;
+    if (!end && item.start.allDay) {
+      end = { date: item.start.date, allDay: true };
+    }
+    if (end?.allDay) {
+      end = { date: new Date(end.date.getTime() + 86400000), allDay: true };
+    }
+
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${item.uid}`,
+      `DTSTAMP:${now}`,
+      dateLine("DTSTART", item.start)
+    );
+    if (end) lines.push(dateLine("DTEND", end));
+    lines.push(`SUMMARY:${escapeText(item.summary)}`);
+    if (item.description) {
+      lines.push(`DESCRIPTION:${escapeText(item.description)}`);
+    }
+    if (item.location) lines.push(`LOCATION:${escapeText(item.location)}`);
+    if (item.url) lines.push(`URL:${item.url}`);
+    if (item.status) lines.push(`STATUS:${item.status}`);
+    lines.push("END:VEVENT");
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+export function sendICalendar(res, filename, body) {
+  res.set({
+    "Content-Type": "text/calendar; charset=utf-8",
+    "Content-Disposition": `inline; filename="${filename}"`,
+  });
+  res.send(body);
+}
@@ -0,0 +1,209 @@
+// Aggregations behind the user and team leaderboards.
+import { CHALLENGE_STATUS } from "./challengeStatus.js";
+
+export const LEADERBOARD_METRICS = ["completed", "co2", "plastic"];
+export const LEADERBOARD_PERIODS = ["week", "month", "all"];
+
+const CACHE_TTL_MS = 60 * 1000;
+const MAX_CACHE_ENTRIES = 100;
+
+// Rankings are kept for a minute. Empty ones are not kept, so made-up
+// categories or challenge ids cannot grow the cache, and expired or oldest
+// entries make room for new ones.
+function createRankingCache() {
+  const cache = new Map();
+
+  return async function cachedRanking(key, compute) {
+    const now = Date.now();
+    const hit = cache.get(key);
+    if (hit && hit.expires > now) return hit.ranking;
+    cache.delete(key);
+
+    const ranking = await compute();
+    if (ranking.length === 0) return ranking;
+
+    for (const [oldKey, entry] of cache) {
+      if (entry.expires <= now) cache.delete(oldKey);
+    }
+    if (cache.size >= MAX_CACHE_ENTRIES) {
+      cache.delete(cache.keys().next().value);
+    }
+    cache.set(key, { ranking, expires: now + CACHE_TTL_MS });
+    return ranking;
+  };
+}
+
+// start of the current calendar week (Monday) / month in UTC
+export function periodStart(period, now = new Date()) {
+  if (period === "week") {
+    const start = new Date(
+      Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())
+    );
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    return start;
+  }
+  if (period === "month") {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  }
+  return null;
+}
+
+// rank every user with a positive score, best first
+const rankStages = [
+  { $match: { _id: { $ne: null }, score: { $gt: 0 } } },
+  {
+    $setWindowFields: {
+      sortBy: { score: -1 },
+      output: { rank: { $rank: {} } },
+    },
+  },
+  { $project: { _id: 0, email: "$_id", score: 1, rank: 1 } },
+];
+
+/**
+ * Pick the source collection and pipeline for a leaderboard.
+ * Completions come from livestatics, CO2/plastic from the impact ledger for
+ * every period - it keeps its rows when a user leaves a challenge, so
+ * all-time never drops below a week or month.
+ */
+function leaderboardQuery({ metric, period, category }, collections) {
+  const since = periodStart(period);
+
+  if (metric === "completed") {
+    const match = {};
+    if (since) match.finishedAt = { $gte: since };
+    if (category) match.category = category;
+    return {
+      collection: collections.livestatics,
+      pipeline: [
+        { $match: match },
+        { $group: { _id: "$email", score: { $sum: 1 } } },
+        ...rankStages,
+      ],
+    };
+  }
+
+  const field = metric === "co2" ? "$co2Saved" : "$plasticReduced";
+  const match = {};
+  if (since) match.createdAt = { $gte: since };
+  if (category) match.category = category;
+  return {
+    collection: collections.impactLedger,
+    pipeline: [
+      { $match: match },
+      { $group: { _id: "$email", score: { $sum: field } } },
+      ...rankStages,
+    ],
+  };
+}
+
+// per-record score of a member's userChallenges for a team metric
+const teamScore = {
+  completed: {
+    $cond: [{ $eq: ["$records.status", CHALLENGE_STATUS.COMPLETED] }, 1, 0],
+  },
+  co2: "$records.co2Saved",
+  plastic: "$records.plasticReduced",
+};
+
+// teams ranked by their members' combined results on the challenges the
+// team joined (optionally one challenge)
+function teamRankingPipeline({ metric, challengeId }) {
+  return [
+    { $match: challengeId ? { challengeId } : {} },
+    {
+      $lookup: {
+        from: "teams",
+        localField: "teamId",
+        foreignField: "_id",
+        pipeline: [{ $project: { name: 1, "members.email": 1 } }],
+        as: "team",
+      },
+    },
+    { $unwind: "$team" },
+    {
+      $lookup: {
+        from: "userChallenges",
+        let: { challengeId: "$challengeId", emails: "$team.members.email" },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ["$challengeId", "$$challengeId"] },
+                  { $in: ["$email", "$$emails"] },
+                ],
+              },
+            },
+          },
+          { $project: { status: 1, co2Saved: 1, plasticReduced: 1 } },
+        ],
+        as: "records",
+      },
+    },
+    { $unwind: "$records" },
+    {
+      $group: {
+        _id: "$teamId",
+        name: { $first: "$team.name" },
+        memberCount: { $first: { $size: "$team.members" } },
+        score: { $sum: teamScore[metric] },
+      },
+    },
+    { $match: { score: { $gt: 0 } } },
+    {
+      $setWindowFields: {
+        sortBy: { score: -1 },
+        output: { rank: { $rank: {} } },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        teamId: "$_id",
+        name: 1,
+        memberCount: 1,
+        score: 1,
+        rank: 1,
+      },
+    },
+  ];
+}
+
+/**
+ * Leaderboards over one database. Every instance keeps its own cache, so
+ * apps built by createApp never see each other's rankings.
+ * `collections`: { livestatics, impactLedger, teamChallenges }
+ */
+export function createLeaderboards(collections) {
+  const cachedRanking = createRankingCache();
+
+  return {
+    // full ranked list for the given options, cached for a minute so the
+    // home page does not re-run the aggregation on every visit
+    getRanking(options) {
+      const key = JSON.stringify([
+        options.metric,
+        options.period,
+        options.category || null,
+      ]);
+      return cachedRanking(key, () => {
+        const { collection, pipeline } = leaderboardQuery(options, collections);
+        return collection.aggregate(pipeline).toArray();
+      });
+    },
+
+    getTeamRanking(options) {
+      const key = JSON.stringify([
+        "teams",
+        options.metric,
+        options.challengeId || null,
+      ]);
+      return cachedRanking(key, () =>
+        collections.teamChallenges
+          .aggregate(teamRankingPipeline(options))
+          .toArray()
+      );
+    },
+  };
+}
@@ -0,0 +1,173 @@
+// Pub/sub behind the Server-Sent Events stream, shared by every instance.
+//
+// Topics: "completions", "stats", "challenge:<id>", "event:<id>".
+// publish() stores the event in the `liveEvents` collection; each instance
+// with open streams watches that collection through a change stream and
+// pushes new events to its own subscribers. The stored _id is the SSE id,
+// so a client reconnecting to any instance with Last-Event-ID gets what it
+// missed. Events are kept for an hour - an older or unknown id is told to
+// resync instead. Change streams need a replica set, like transactions.
+import { ObjectId } from "mongodb";
+import { logger } from "./logger.js";
+
+const REPLAY_WINDOW_SECONDS = 60 * 60;
+const MAX_REPLAY = 500;
+const HEARTBEAT_MS = 25 * 1000;
+
+export const STATIC_TOPICS = ["completions", "stats"];
+const TOPIC_PATTERN = /^(completions|stats|(challenge|event):[a-f0-9]{24})$/;
+
+export function isValidTopic(topic) {
+  return TOPIC_PATTERN.test(topic);
+}
+
+function write(res, event) {
+  res.write(`id: ${event._id}\n`);
+  res.write(`event: ${event.topic.split(":")[0]}\n`);
+  res.write(
+    `data: ${JSON.stringify({ topic: event.topic, ...event.data })}\n\n`
+  );
+}
+
+/**
+ * Event bus over one collection. Every app gets its own (subscribers and
+ * change stream are per app), the events themselves are shared.
+ * Returns { init(), publish(topic, data), subscribe(req, res, topics) }.
+ */
+export function createLiveEvents(collection) {
+  const subscribers = new Set();
+  // resolves once the change stream is running, null while closed
+  let watching = null;
+  let stream = null;
+
+  function deliver(event) {
+    for (const sub of subscribers) {
+      if (!sub.topics.has(event.topic)) continue;
+      if (sub.replayed.has(String(event._id))) continue;
+      if (sub.pending) sub.pending.push(event);
+      else write(sub.res, event);
+    }
+  }
+
+  function stopWatching() {
+    stream?.close().catch(() => {});
+    stream = null;
+    watching = null;
+  }
+
+  // one change stream per instance, open while anyone is listening
+  function startWatching() {
+    if (watching) return watching;
+
+    stream = collection.watch([{ $match: { operationType: "insert" } }]);
+    watching = new Promise((resolve) => {
+      stream.once("init", resolve);
+      stream.on("change", (change) => deliver(change.fullDocument));
+      stream.on("error", (error) => {
+        logger.error("Live events stream failed", error);
+        stopWatching();
+        resolve();
+        // clients reconnect and replay from their last id; writes to a
+        // destroyed response are dropped, so a replay in flight is harmless
+        for (const sub of subscribers) sub.res.destroy();
+      });
+    });
+    return watching;
+  }
+
+  // events after lastEventId, or null when they can no longer be replayed
+  async function missedSince(lastEventId, topics) {
+    if (typeof lastEventId !== "string" || !ObjectId.isValid(lastEventId)) {
+      return null;
+    }
+    const lastId = new ObjectId(lastEventId);
+    if (
+      !(await collection.findOne({ _id: lastId }, { projection: { _id: 1 } }))
+    ) {
+      return null;
+    }
+
+    const missed = await collection
+      .find({ _id: { $gt: lastId }, topic: { $in: topics } })
+      .sort({ _id: 1 })
+      .limit(MAX_REPLAY + 1)
+      .toArray();
+    return missed.length > MAX_REPLAY ? null : missed;
+  }
+
+  return {
+    // expired events are removed by MongoDB itself
+    async init() {
+      await collection.createIndex(
+        { createdAt: 1 },
+        { expireAfterSeconds: REPLAY_WINDOW_SECONDS }
+      );
+    },
+
+    // never fails the request that triggered it
+    async publish(topic, data) {
+      try {
+        await collection.insertOne({ topic, data, createdAt: new Date() });
+      } catch (error) {
+        logger.error("Live event publish failed", error);
+      }
+    },
+
+    // turn an Express response into an SSE stream for the given topics
+    async subscribe(req, res, topics) {
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      });
+      res.flushHeaders();
+      res.write("retry: 3000\n\n");
+
+      // live events wait in `pending` until the replay is written, and
+      // skip what the replay already sent
+      const sub = {
+        res,
+        topics: new Set(topics),
+        pending: [],
+        replayed: new Set(),
+      };
+      subscribers.add(sub);
+
+      const heartbeat = setInterval(
+        () => res.write(": ping\n\n"),
+        HEARTBEAT_MS
+      );
+      req.on("close", () => {
+        clearInterval(heartbeat);
+        subscribers.delete(sub);
+        if (subscribers.size === 0) stopWatching();
+      });
+
+      try {
+        await startWatching();
+
+        const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+        if (lastEventId) {
+          const missed = await missedSince(lastEventId, topics);
+          if (missed) {
+            for (const event of missed) {
+              sub.replayed.add(String(event._id));
+              write(res, event);
+            }
+          } else {
+            res.write(`event: resync\ndata: {}\n\n`);
+          }
+        }
+
+        for (const event of sub.pending) {
+          if (!sub.replayed.has(String(event._id))) write(res, event);
+        }
+      } catch (error) {
+        logger.error("Live events replay failed", error);
+        res.write(`event: resync\ndata: {}\n\n`);
+      }
+      sub.pending = null;
+    },
+  };
+}
@@ -0,0 +1,88 @@
+// JSON-lines logger. Every line carries the current request id when it is
+// written while handling a request (see requestContext).
+import { AsyncLocalStorage } from "node:async_hooks";
+import crypto from "node:crypto";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const minLevel = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+const context = new AsyncLocalStorage();
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    code: error.code,
+    stack: error.stack,
+  };
+}
+
+function write(level, msg, extra) {
+  if (LEVELS[level] < minLevel) return;
+
+  const fields =
+    extra instanceof Error ? { err: serializeError(extra) } : { ...extra };
+  if (fields.err instanceof Error) fields.err = serializeError(fields.err);
+
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    requestId: context.getStore()?.requestId,
+    ...fields,
+  });
+
+  if (LEVELS[level] >= LEVELS.warn) process.stderr.write(line + "\n");
+  else process.stdout.write(line + "\n");
+}
+
+// logger.error("msg", error) or logger.info("msg", { any: "fields" })
+export const logger = {
+  debug: (msg, extra) => write("debug", msg, extra),
+  info: (msg, extra) => write("info", msg, extra),
+  warn: (msg, extra) => write("warn", msg, extra),
+  error: (msg, extra) => write("error", msg, extra),
+};
+
+const REQUEST_ID_PATTERN = /^[\w-]{8,64}$/;
+
+// the personal calendar feed URL carries its token in place of auth
+const SECRET_PATH = /^(\/api\/calendar\/feed\/)[^/?]+/;
+const loggedPath = (url) => url.replace(SECRET_PATH, "$1[redacted]");
+
+/**
+ * Give every request an id (reusing a sane incoming X-Request-Id), echo it
+ * back in the response and log method, path, status and latency when the
+ * response is finished. Register first, before body parsing.
+ */
+export function requestLogger(req, res, next) {
+  const incoming = req.get("X-Request-Id");
+  req.id = REQUEST_ID_PATTERN.test(incoming || "")
+    ? incoming
+    : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+
+  const started = process.hrtime.bigint();
+  res.on("finish", () => {
+    const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+    const level =
+      res.statusCode >= 500 ? "error" : res.statusCode >= 400 ? "warn" : "info";
+    context.run({ requestId: req.id }, () =>
+      write(level, "request completed", {
+        method: req.method,
+        path: loggedPath(req.originalUrl),
+        status: res.statusCode,
+        durationMs: Math.round(durationMs * 10) / 10,
+        user: req.user?.email,
+      })
+    );
+  });
+
+  next();
+}
+
+// Run the rest of the request with its id in the log context. Register
+// after body parsing - stream callbacks do not keep the async context.
+export function requestContext(req, res, next) {
+  context.run({ requestId: req.id }, next);
+}
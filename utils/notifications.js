@@ -0,0 +1,175 @@
+// In-app notifications - kinds, preferences and the notify helper.
+import { logger } from "./logger.js";
+import { resolveOccurrence } from "./recurrence.js";
+
+export const NOTIFICATION_KINDS = {
+  challenge_joined: "You joined a challenge",
+  challenge_started: "A challenge you joined has started",
+  challenge_ended: "A challenge you joined has ended",
+  challenge_completed: "You completed a challenge",
+  badge_earned: "You earned a badge",
+  tip_upvoted: "Someone upvoted your tip",
+  event_created: "Your event was published",
+  event_joined: "Event RSVPs",
+  event_promoted: "You got a spot from the waitlist",
+  event_reminder: "An event you joined is tomorrow",
+  event_updated: "An event you joined was rescheduled or moved",
+  event_cancelled: "An event you joined was cancelled",
+  team_invite: "You were invited to a team",
+};
+
+// every kind is on unless the user turned it off
+export function resolvePreferences(saved = {}) {
+  return Object.fromEntries(
+    Object.keys(NOTIFICATION_KINDS).map((kind) => [kind, saved[kind] !== false])
+  );
+}
+
+/**
+ * Build the notify(email, kind, payload) function used by the routes.
+ * `key` in the payload makes a notification idempotent per user, which the
+ * scheduled kinds (started/ended/reminder) rely on. Failures are logged and
+ * never fail the request that triggered the notification.
+ */
+export function createNotifier({ notifications, users }) {
+  return async function notify(email, kind, { title, message, link, key }) {
+    if (!email || !NOTIFICATION_KINDS[kind]) return null;
+
+    try {
+      const account = await users.findOne(
+        { email },
+        { projection: { notificationPreferences: 1 } }
+      );
+      if (!resolvePreferences(account?.notificationPreferences)[kind]) {
+        return null;
+      }
+
+      const doc = {
+        email,
+        kind,
+        title,
+        message,
+        link: link || null,
+        read: false,
+        createdAt: new Date(),
+      };
+      if (key) doc.key = key;
+
+      await notifications.insertOne(doc);
+      return doc;
+    } catch (error) {
+      // duplicate key = this scheduled notification was already sent
+      if (error.code !== 11000) {
+        logger.error("Notification failed", error);
+      }
+      return null;
+    }
+  };
+}
+
+/**
+ * Create the time-based notifications that are due for a user - challenge
+ * start/end and event reminders. Runs when the user opens their feed, so
+ * no background job is needed on serverless hosting. Already sent and
+ * muted ones are filtered out up front, so a feed load only writes what
+ * is new.
+ */
+export async function syncScheduledNotifications(
+  email,
+  { userChallenges, challenges, eventRsvps, events, notifications, users },
+  notify
+) {
+  const now = new Date();
+  const due = [];
+
+  const joined = await userChallenges
+    .find({ email }, { projection: { challengeId: 1 } })
+    .toArray();
+  const joinedChallenges = await challenges
+    .find(
+      { _id: { $in: joined.map((uc) => uc.challengeId) } },
+      { projection: { title: 1, startDate: 1, endDate: 1 } }
+    )
+    .toArray();
+
+  for (const challenge of joinedChallenges) {
+    const link = `/challenges/${challenge._id}`;
+    if (challenge.startDate && new Date(challenge.startDate) <= now) {
+      due.push({
+        kind: "challenge_started",
+        title: "Challenge started",
+        message: `"${challenge.title}" has started. Good luck!`,
+        link,
+        key: `challenge_started:${challenge._id}`,
+      });
+    }
+    if (challenge.endDate && new Date(challenge.endDate) <= now) {
+      due.push({
+        kind: "challenge_ended",
+        title: "Challenge ended",
+        message: `"${challenge.title}" has ended.`,
+        link,
+        key: `challenge_ended:${challenge._id}`,
+      });
+    }
+  }
+
+  const rsvps = await eventRsvps
+    .find(
+      { email, status: "going" },
+      { projection: { eventId: 1, occurrence: 1 } }
+    )
+    .toArray();
+  const tomorrow = new Date(now.getTime() + 24 * 60 * 60 * 1000);
+  const soon = await events
+    .find(
+      { _id: { $in: rsvps.map((r) => r.eventId) }, cancelled: { $ne: true } },
+      { projection: { title: 1, date: 1, recurrence: 1, overrides: 1 } }
+    )
+    .toArray();
+
+  for (const rsvp of rsvps) {
+    const event = soon.find((e) => e._id.equals(rsvp.eventId));
+    if (!event) continue;
+
+    // series RSVPs remind about their own occurrence
+    let date = new Date(event.date);
+    let key = `event_reminder:${event._id}`;
+    if (rsvp.occurrence) {
+      const found = resolveOccurrence(event, rsvp.occurrence);
+      if (!found || found.override.cancelled) continue;
+      date = found.date;
+      key += `:${rsvp.occurrence}`;
+    }
+
+    if (date > now && date <= tomorrow) {
+      due.push({
+        kind: "event_reminder",
+        title: "Event tomorrow",
+        message: `"${event.title}" is coming up.`,
+        link: `/events/${event._id}`,
+        key,
+      });
+    }
+  }
+
+  if (due.length === 0) return;
+
+  const [account, sent] = await Promise.all([
+    users.findOne({ email }, { projection: { notificationPreferences: 1 } }),
+    notifications
+      .find(
+        { email, key: { $in: due.map((d) => d.key) } },
+        { projection: { key: 1 } }
+      )
+      .toArray(),
+  ]);
+  const enabled = resolvePreferences(account?.notificationPreferences);
+  const sentKeys = new Set(sent.map((n) => n.key));
+
+  for (const { kind, ...payload } of due) {
+    if (enabled[kind] && !sentKeys.has(payload.key)) {
+      await notify(email, kind, payload);
+    }
+  }
+}
@@ -0,0 +1,66 @@
+// Ownership checks for per-user records. Identity always comes from the
+// verified token (req.user), never from the request body.
+import { ObjectId } from "mongodb";
+import { isStaff } from "./roles.js";
+
+/**
+ * Load the document named by req.params[param] and make sure it belongs to
+ * the caller. The document is attached as req[as] for the handler.
+ * `allowStaff` lets moderators/admins through (read-only routes);
+ * `allowRoles` lets specific roles through, e.g. ["admin"] for writes.
+ */
+export function requireOwnedDocument(
+  collection,
+  {
+    param = "id",
+    ownerField = "email",
+    as,
+    allowStaff = false,
+    allowRoles = [],
+    label,
+  }
+) {
+  return async (req, res, next) => {
+    if (!ObjectId.isValid(req.params[param])) {
+      return res.status(400).json({ message: `Invalid ${label} id` });
+    }
+
+    try {
+      const doc = await collection.findOne({
+        _id: new ObjectId(req.params[param]),
+      });
+      if (!doc) {
+        return res.status(404).json({ message: `${label} not found` });
+      }
+      if (
+        doc[ownerField] !== req.user?.email &&
+        !(allowStaff && isStaff(req.user)) &&
+        !allowRoles.includes(req.user?.role)
+      ) {
+        return res
+          .status(403)
+          .json({ message: "Forbidden - You cannot access other data" });
+      }
+
+      req[as] = doc;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// the :param email must be the caller's own (staff may read anyone's)
+export function requireSelf(param = "email", { allowStaff = false } = {}) {
+  return (req, res, next) => {
+    if (
+      req.params[param] !== req.user?.email &&
+      !(allowStaff && isStaff(req.user))
+    ) {
+      return res
+        .status(403)
+        .json({ message: "Forbidden - You cannot access other data" });
+    }
+    next();
+  };
+}
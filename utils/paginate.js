@@ -0,0 +1,156 @@
+// Cursor pagination shared by the list endpoints.
+//
+// Query contract:
+//   limit         page size (1-100)
+//   cursor        opaque value from the previous page's nextCursor
+//   sort          whitelisted key, "-" prefix for descending (e.g. -createdAt)
+//   fields        comma separated projection (e.g. title,category)
+//   includeTotal  "true" to also count every matching document
+//
+// Callers that send neither limit nor cursor still get the plain array
+// the front end has always used; paged callers get
+// { items, nextCursor, total }.
+import { ObjectId } from "mongodb";
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const PAGING_PARAMS = ["limit", "cursor", "sort", "fields", "includeTotal"];
+
+export class PaginationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PaginationError";
+    this.status = 400;
+  }
+}
+
+function encodeCursor(doc, key) {
+  const value = doc[key] ?? null;
+  const payload = {
+    id: doc._id.toString(),
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date,
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    return {
+      id: new ObjectId(payload.id),
+      value: payload.d ? new Date(payload.v) : payload.v,
+    };
+  } catch {
+    throw new PaginationError("Invalid cursor");
+  }
+}
+
+// documents that come after the cursor in (key, _id) order
+function afterCursor(key, dir, { id, value }) {
+  const idCmp = dir === 1 ? { $gt: id } : { $lt: id };
+
+  // missing values sort first ascending and last descending
+  if (value === null) {
+    return dir === 1
+      ? { $or: [{ [key]: null, _id: idCmp }, { [key]: { $ne: null } }] }
+      : { [key]: null, _id: idCmp };
+  }
+
+  const valueCmp = dir === 1 ? { $gt: value } : { $lt: value };
+  const branches = [{ [key]: valueCmp }, { [key]: value, _id: idCmp }];
+  if (dir === -1) branches.push({ [key]: null });
+  return { $or: branches };
+}
+
+/**
+ * Parse the paging parameters of a list request.
+ * `sortKeys` whitelists what may be sorted on, `defaultSort` is used when
+ * the client sends none (e.g. "-createdAt").
+ */
+export function parseListQuery(query, { sortKeys, defaultSort }) {
+  // ?sort=a&sort=b arrives as an array
+  for (const param of PAGING_PARAMS) {
+    if (query[param] !== undefined && typeof query[param] !== "string") {
+      throw new PaginationError(`${param} must be given once`);
+    }
+  }
+
+  const paged = query.limit !== undefined || query.cursor !== undefined;
+
+  let limit = null;
+  if (paged) {
+    limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new PaginationError(
+        `limit must be an integer between 1 and ${MAX_LIMIT}`
+      );
+    }
+  }
+
+  const rawSort = query.sort || defaultSort;
+  const dir = rawSort.startsWith("-") ? -1 : 1;
+  const key = rawSort.replace(/^[-+]/, "");
+  if (!sortKeys.includes(key)) {
+    throw new PaginationError(`sort must be one of: ${sortKeys.join(", ")}`);
+  }
+
+  let projection = null;
+  if (query.fields) {
+    const fields = query.fields
+      .split(",")
+      .map((f) => f.trim())
+      .filter(Boolean);
+    if (fields.some((f) => !/^[A-Za-z0-9_]+$/.test(f))) {
+      throw new PaginationError("fields contains an invalid field name");
+    }
+    // the sort key is always needed to build the next cursor
+    projection = Object.fromEntries(
+      [...fields, key].map((field) => [field, 1])
+    );
+  }
+
+  return {
+    paged,
+    limit,
+    sort: { key, dir },
+    projection,
+    cursor: query.cursor ? decodeCursor(query.cursor) : null,
+    withTotal: query.includeTotal === "true",
+  };
+}
+
+/**
+ * Run a list query. `listQuery` comes from parseListQuery.
+ * Returns { items, nextCursor, total }.
+ */
+export async function findPage(collection, filter, listQuery) {
+  const { limit, sort, projection, cursor, withTotal } = listQuery;
+
+  const pageFilter = cursor
+    ? { $and: [filter, afterCursor(sort.key, sort.dir, cursor)] }
+    : filter;
+
+  let find = collection
+    .find(pageFilter, projection ? { projection } : {})
+    .sort({ [sort.key]: sort.dir, _id: sort.dir });
+  if (limit) find = find.limit(limit + 1);
+
+  const items = await find.toArray();
+
+  let nextCursor = null;
+  if (limit && items.length > limit) {
+    items.pop();
+    nextCursor = encodeCursor(items[items.length - 1], sort.key);
+  }
+
+  const total = withTotal ? await collection.countDocuments(filter) : undefined;
+
+  return { items, nextCursor, total };
+}
+
+// Send a page in the shape the caller asked for
+export function sendPage(res, page, listQuery) {
+  if (!listQuery.paged) return res.json(page.items);
+  res.json(page);
+}
@@ -0,0 +1,143 @@
+// Fixed-window rate limiting per user (Firebase email) and per IP.
+//
+// Stores implement increment(key, windowMs) -> { count, resetAt }.
+// MemoryStore is the default; MongoStore shares the counters between
+// serverless instances (RATE_LIMIT_STORE=mongo).
+import { logger } from "./logger.js";
+
+export class MemoryStore {
+  constructor() {
+    this.hits = new Map();
+    // drop expired windows now and then so the map does not grow forever
+    this.sweeper = setInterval(() => this.sweep(), 60 * 1000);
+    this.sweeper.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+    entry.count += 1;
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt <= now) this.hits.delete(key);
+    }
+  }
+}
+
+export class MongoStore {
+  constructor(collection) {
+    this.collection = collection;
+  }
+
+  // expired windows are removed by MongoDB itself
+  async init() {
+    await this.collection.createIndex(
+      { expiresAt: 1 },
+      { expireAfterSeconds: 0 }
+    );
+  }
+
+  async increment(key, windowMs) {
+    const now = new Date();
+    const live = { $gt: ["$expiresAt", now] };
+
+    // one atomic update: restart the window if it expired, else count up
+    const doc = await this.collection.findOneAndUpdate(
+      { _id: key },
+      [
+        {
+          $set: {
+            count: { $cond: [live, { $add: ["$count", 1] }, 1] },
+            expiresAt: {
+              $cond: [live, "$expiresAt", new Date(now.getTime() + windowMs)],
+            },
+          },
+        },
+      ],
+      { upsert: true, returnDocument: "after" }
+    );
+    return { count: doc.count, resetAt: doc.expiresAt.getTime() };
+  }
+}
+
+/**
+ * Limits for a route group, overridable with RATE_LIMIT_<NAME> set to
+ * "userMax,ipMax,windowSeconds" (e.g. RATE_LIMIT_TIPS=10,30,3600).
+ */
+export function limitsFor(name, defaults) {
+  const raw = process.env[`RATE_LIMIT_${name.toUpperCase()}`];
+  if (!raw) return defaults;
+
+  const [user, ip, seconds] = raw.split(",").map(Number);
+  return {
+    user: Number.isFinite(user) ? user : defaults.user,
+    ip: Number.isFinite(ip) ? ip : defaults.ip,
+    windowMs: Number.isFinite(seconds) ? seconds * 1000 : defaults.windowMs,
+  };
+}
+
+/**
+ * Express middleware for one route group. Place it after
+ * verifyFirebaseToken so the per-user limit can use req.user.
+ * getStore is called per request so the store can be swapped at startup.
+ */
+export function rateLimit(name, defaults, getStore) {
+  const { user, ip, windowMs } = limitsFor(name, defaults);
+
+  return async (req, res, next) => {
+    const checks = [{ key: `${name}:ip:${req.ip}`, max: ip }];
+    if (req.user?.email) {
+      checks.push({ key: `${name}:user:${req.user.email}`, max: user });
+    }
+
+    try {
+      const store = getStore();
+      const results = await Promise.all(
+        checks.map(async (check) => ({
+          ...check,
+          ...(await store.increment(check.key, windowMs)),
+        }))
+      );
+
+      // report the tightest of the limits that apply
+      const tightest = results.reduce((a, b) =>
+        a.max - a.count <= b.max - b.count ? a : b
+      );
+      res.set({
+        "RateLimit-Limit": String(tightest.max),
+        "RateLimit-Remaining": String(
+          Math.max(tightest.max - tightest.count, 0)
+        ),
+        "RateLimit-Reset": String(
+          Math.ceil((tightest.resetAt - Date.now()) / 1000)
+        ),
+      });
+
+      const blocked = results.find((r) => r.count > r.max);
+      if (blocked) {
+        const retryAfter = Math.max(
+          Math.ceil((blocked.resetAt - Date.now()) / 1000),
+          1
+        );
+        res.set("Retry-After", String(retryAfter));
+        return res.status(429).json({
+          message: "Too many requests - please try again later",
+          retryAfter,
+        });
+      }
+    } catch (error) {
+      // a broken store should not take the API down
+      logger.error("Rate limit check failed", error);
+    }
+
+    next();
+  };
+}
@@ -0,0 +1,266 @@
+// Recurring events. A series is a single events document with a
+// `recurrence` rule. Occurrences are expanded when they are read and never
+// stored. Each occurrence is keyed by its original UTC day ("YYYY-MM-DD").
+// The key stays the same when an organizer moves that occurrence, so
+// per-occurrence RSVPs and overrides (`overrides.<key>`) hang off it.
+//
+// Rule shape:
+//   { freq: "daily" | "weekly" | "monthly", interval: 1,
+//     byWeekday: ["mon", "thu"],   weekly only, defaults to the start day,
+//                                  must include it
+//     until: Date | count: n }     optional, never both
+// All dates are UTC; monthly rules skip months without the start day.
+
+export const RECURRENCE_FREQUENCIES = ["daily", "weekly", "monthly"];
+export const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_INTERVAL = 365;
+const MAX_COUNT = 500;
+// hard stop for open-ended series
+const MAX_SCAN = 5000;
+const MAX_WINDOW_DAYS = 366;
+const DEFAULT_WINDOW_DAYS = 60;
+const DAY_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+export class RecurrenceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RecurrenceError";
+    this.status = 400;
+  }
+}
+
+export const occurrenceKey = (date) => date.toISOString().split("T")[0];
+
+// "YYYY-MM-DD" as an upper bound covers the whole day
+function parseBound(raw, { endOfDay = false } = {}) {
+  if (typeof raw !== "string" && !(raw instanceof Date)) return null;
+  const date = new Date(raw);
+  if (Number.isNaN(date.getTime())) return null;
+  if (endOfDay && DAY_ONLY.test(raw)) date.setUTCHours(23, 59, 59, 999);
+  return date;
+}
+
+/**
+ * Check a recurrence rule from a request body against the series start.
+ * Returns { value } or { errors: [{ field, message }] } like validate().
+ */
+export function parseRecurrence(raw, start) {
+  if (typeof raw !== "object" || raw === null || Array.isArray(raw)) {
+    return {
+      errors: [
+        { field: "recurrence", message: "recurrence must be an object" },
+      ],
+    };
+  }
+
+  const errors = [];
+  const fail = (field, message) =>
+    errors.push({ field: `recurrence.${field}`, message });
+  const { freq, interval = 1, byWeekday, until, count } = raw;
+
+  if (!RECURRENCE_FREQUENCIES.includes(freq)) {
+    fail("freq", `freq must be one of: ${RECURRENCE_FREQUENCIES.join(", ")}`);
+  }
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    fail(
+      "interval",
+      `interval must be a whole number from 1 to ${MAX_INTERVAL}`
+    );
+  }
+
+  let weekdays;
+  if (byWeekday !== undefined) {
+    if (freq !== "weekly") {
+      fail("byWeekday", "byWeekday only applies to weekly rules");
+    } else if (
+      !Array.isArray(byWeekday) ||
+      byWeekday.length === 0 ||
+      !byWeekday.every((day) => WEEKDAYS.includes(day))
+    ) {
+      fail(
+        "byWeekday",
+        `byWeekday must list days from: ${WEEKDAYS.join(", ")}`
+      );
+    } else if (start && !byWeekday.includes(WEEKDAYS[start.getUTCDay()])) {
+      // the event date is the first occurrence, so its day has to be listed
+      fail(
+        "byWeekday",
+        `byWeekday must include the event date's day (${WEEKDAYS[start.getUTCDay()]})`
+      );
+    } else {
+      // week order, no duplicates
+      weekdays = WEEKDAYS.filter((day) => byWeekday.includes(day));
+    }
+  }
+
+  let untilDate;
+  if (until !== undefined && count !== undefined) {
+    fail("count", "Use either until or count, not both");
+  } else if (until !== undefined) {
+    untilDate = parseBound(until, { endOfDay: true });
+    if (!untilDate) fail("until", "until must be a valid date");
+    else if (start && untilDate < start) {
+      fail("until", "until must not be before the event date");
+    }
+  } else if (
+    count !== undefined &&
+    (!Number.isInteger(count) || count < 1 || count > MAX_COUNT)
+  ) {
+    fail("count", `count must be a whole number from 1 to ${MAX_COUNT}`);
+  }
+
+  if (errors.length > 0) return { errors };
+  return {
+    value: {
+      freq,
+      interval,
+      ...(weekdays && { byWeekday: weekdays }),
+      ...(untilDate && { until: untilDate }),
+      ...(count !== undefined && { count }),
+    },
+  };
+}
+
+// every start date the rule produces, in order, ignoring until/count
+function* ruleDates(start, rule) {
+  const { freq, interval } = rule;
+
+  if (freq === "daily") {
+    for (let i = 0; ; i += interval) {
+      yield new Date(start.getTime() + i * DAY);
+    }
+  } else if (freq === "weekly") {
+    const days = (rule.byWeekday || [WEEKDAYS[start.getUTCDay()]]).map((day) =>
+      WEEKDAYS.indexOf(day)
+    );
+    const weekStart = start.getTime() - start.getUTCDay() * DAY;
+    for (let week = 0; ; week += interval) {
+      for (const day of days) {
+        const date = new Date(weekStart + (week * 7 + day) * DAY);
+        if (date >= start) yield date;
+      }
+    }
+  } else {
+    for (let month = 0; ; month += interval) {
+      const date = new Date(start);
+      date.setUTCDate(1);
+      date.setUTCMonth(start.getUTCMonth() + month);
+      date.setUTCDate(start.getUTCDate());
+      if (date.getUTCDate() === start.getUTCDate()) yield date;
+    }
+  }
+}
+
+// the series' original dates up to `limit`, honouring until/count
+function* seriesDates(event, limit) {
+  const rule = event.recurrence;
+  const until = rule.until ? new Date(rule.until) : null;
+  let n = 0;
+
+  for (const date of ruleDates(new Date(event.date), rule)) {
+    n += 1;
+    if (date > limit || n > MAX_SCAN) return;
+    if ((rule.count && n > rule.count) || (until && date > until)) return;
+    yield date;
+  }
+}
+
+// { occurrence, date, originalDate, override } - date is the moved one
+function describeOccurrence(event, key, originalDate) {
+  const override = event.overrides?.[key] || {};
+  return {
+    occurrence: key,
+    date: override.date ? new Date(override.date) : originalDate,
+    originalDate,
+    override,
+  };
+}
+
+/**
+ * Look up one occurrence by key (see describeOccurrence for the shape).
+ * Returns null if the series has no occurrence on that day.
+ */
+export function resolveOccurrence(event, key) {
+  if (!event?.recurrence || typeof key !== "string" || !DAY_ONLY.test(key)) {
+    return null;
+  }
+  const endOfDay = parseBound(key, { endOfDay: true });
+  if (!endOfDay) return null;
+
+  for (const date of seriesDates(event, endOfDay)) {
+    if (occurrenceKey(date) === key) {
+      return describeOccurrence(event, key, date);
+    }
+  }
+  return null;
+}
+
+/**
+ * Occurrences of a series dated within { from, to }, overrides applied
+ * (moved ones count by their new date), sorted by date.
+ */
+export function expandOccurrences(event, { from, to }) {
+  const overrides = event.overrides || {};
+  const seen = new Set();
+  const found = [];
+
+  for (const date of seriesDates(event, to)) {
+    const key = occurrenceKey(date);
+    seen.add(key);
+    found.push(describeOccurrence(event, key, date));
+  }
+
+  // occurrences moved into the window from a later day
+  for (const key of Object.keys(overrides)) {
+    if (seen.has(key) || !overrides[key].date) continue;
+    const original = resolveOccurrence(event, key);
+    if (original) found.push(original);
+  }
+
+  return found
+    .filter(({ date }) => date >= from && date <= to)
+    .sort((a, b) => a.date - b.date);
+}
+
+/**
+ * One occurrence shaped like a regular event for listings. `_id` stays the
+ * series id; `occurrence` is what RSVPs and overrides refer to.
+ */
+export function occurrenceView(event, found) {
+  const { occurrence, date, originalDate, override } = found;
+  const view = {
+    ...event,
+    ...override,
+    seriesId: event._id,
+    occurrence,
+    date,
+    currentParticipants: event.occurrenceParticipants?.[occurrence] || 0,
+    cancelled: event.cancelled === true || override.cancelled === true,
+  };
+  if (override.date) view.originalDate = originalDate;
+  delete view.overrides;
+  delete view.occurrenceParticipants;
+  return view;
+}
+
+/**
+ * Read ?from=&to= for occurrence expansion. `from` defaults to now and `to`
+ * to 60 days after it; "YYYY-MM-DD" as `to` includes that whole day.
+ */
+export function parseWindow(query) {
+  const from = query.from ? parseBound(query.from) : new Date();
+  const to = query.to
+    ? parseBound(query.to, { endOfDay: true })
+    : from && new Date(from.getTime() + DEFAULT_WINDOW_DAYS * DAY);
+
+  if (!from || !to) throw new RecurrenceError("from and to must be dates");
+  if (to < from) throw new RecurrenceError("to must not be before from");
+  if (to - from > MAX_WINDOW_DAYS * DAY) {
+    throw new RecurrenceError(
+      `The date window can span at most ${MAX_WINDOW_DAYS} days`
+    );
+  }
+  return { from, to };
+}
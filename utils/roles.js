@@ -0,0 +1,48 @@
+// Roles stored on `users` documents and the middleware that checks them.
+
+export const ROLES = ["user", "moderator", "admin"];
+
+// emails in ADMIN_EMAILS are always admins, so the first admin can log in
+function bootstrapAdmins() {
+  return (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((e) => e.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Attach role and ban state from the users collection to req.user.
+ * `users` is the collection stored on app.locals once MongoDB is ready.
+ */
+export async function attachAccount(req, users) {
+  const email = req.user?.email;
+  const account =
+    users && email
+      ? await users.findOne(
+          { email },
+          { projection: { role: 1, banned: 1, banReason: 1 } }
+        )
+      : null;
+
+  req.user.role = bootstrapAdmins().includes(email?.toLowerCase())
+    ? "admin"
+    : account?.role || "user";
+  req.user.banned = account?.banned === true;
+  req.user.banReason = account?.banReason || null;
+}
+
+// route guard - place after verifyFirebaseToken
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.user?.role)) {
+      return res
+        .status(403)
+        .json({ message: "Forbidden - Insufficient permissions" });
+    }
+    next();
+  };
+}
+
+export function isStaff(user) {
+  return user?.role === "admin" || user?.role === "moderator";
+}
@@ -0,0 +1,60 @@
+// Helpers for the MongoDB text-index search.
+
+const SNIPPET_RADIUS = 60;
+
+// words of a search string, without the quotes/negations $text accepts
+export function searchTerms(q) {
+  return q
+    .toLowerCase()
+    .split(/\s+/)
+    .map((term) => term.replace(/^-/, "").replace(/[^\p{L}\p{N}]/gu, ""))
+    .filter((term) => term.length > 1);
+}
+
+// $text filter for the `q` query parameter, or {} when none was sent
+export function textFilter(q) {
+  if (typeof q !== "string" || q.trim() === "") return {};
+  return { $text: { $search: q.trim() } };
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Cut a short piece of `text` around the first matching term and wrap
+ * every match in <mark>. Returns null when there is no text.
+ */
+export function buildSnippet(text, terms) {
+  if (typeof text !== "string" || text === "") return null;
+
+  const lower = text.toLowerCase();
+  const hits = terms.map((t) => lower.indexOf(t)).filter((i) => i >= 0);
+  const first = hits.length > 0 ? Math.min(...hits) : 0;
+
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first + SNIPPET_RADIUS * 2);
+  let snippet = escapeHtml(text.slice(start, end));
+
+  if (terms.length > 0) {
+    // split on the matches first so escaping never breaks a <mark>
+    const pattern = new RegExp(`(${terms.map(escapeRegExp).join("|")})`, "gi");
+    snippet = text
+      .slice(start, end)
+      .split(pattern)
+      .map((part, i) =>
+        i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)
+      )
+      .join("");
+  }
+
+  return `${start > 0 ? "…" : ""}${snippet}${end < text.length ? "…" : ""}`;
+}
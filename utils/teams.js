@@ -0,0 +1,81 @@
+// Teams - groups of users who take on challenges together.
+// A team document embeds its members and pending invites:
+//   { name, description, inviteCode,
+//     members: [{ email, name, role: "owner" | "member", joinedAt }],
+//     invites: [{ email, invitedBy, invitedAt }] }
+// Which challenges a team joined lives in `teamChallenges`; progress and
+// impact are always rolled up from the members' own userChallenges.
+import crypto from "node:crypto";
+import { ObjectId } from "mongodb";
+
+export const TEAM_ROLES = ["owner", "member"];
+export const MAX_TEAM_MEMBERS = 50;
+
+// no 0/O or 1/I - codes get read out loud and typed from slides
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 8;
+
+export function generateInviteCode() {
+  return Array.from(
+    crypto.randomBytes(CODE_LENGTH),
+    (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]
+  ).join("");
+}
+
+export const normalizeInviteCode = (code) =>
+  typeof code === "string" ? code.trim().toUpperCase() : "";
+
+export const teamMember = (team, email) =>
+  team.members.find((member) => member.email === email) || null;
+
+export const isTeamOwner = (team, email) =>
+  teamMember(team, email)?.role === "owner";
+
+// what a member sees - the invite code and pending invites are owner-only
+export function teamView(team, email) {
+  const { inviteCode, invites, ...rest } = team;
+  const view = { ...rest, memberCount: team.members.length };
+  if (isTeamOwner(team, email)) {
+    view.inviteCode = inviteCode;
+    view.invites = invites || [];
+  }
+  return view;
+}
+
+/**
+ * Load the team in req.params[param] for one of its members (owners only
+ * with `ownerOnly`) and attach it as req.team.
+ */
+export function requireTeam(teams, { param = "id", ownerOnly = false } = {}) {
+  return async (req, res, next) => {
+    if (!ObjectId.isValid(req.params[param])) {
+      return res.status(400).json({ message: "Invalid team id" });
+    }
+
+    try {
+      const team = await teams.findOne({
+        _id: new ObjectId(req.params[param]),
+      });
+      if (!team) {
+        return res.status(404).json({ message: "Team not found" });
+      }
+
+      const member = teamMember(team, req.user?.email);
+      if (!member) {
+        return res
+          .status(403)
+          .json({ message: "Forbidden - You are not a member of this team" });
+      }
+      if (ownerOnly && member.role !== "owner") {
+        return res
+          .status(403)
+          .json({ message: "Forbidden - Only team owners can do this" });
+      }
+
+      req.team = team;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
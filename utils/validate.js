@@ -0,0 +1,177 @@
+// Declarative payload validation for challenges, tips, events, teams,
+// comments and progress reports.
+// Only fields listed in a schema are kept, so server-owned fields
+// (createdBy, author, organizer, counters) can never come from the client.
+import { CHECK_IN_CADENCES } from "./checkIns.js";
+
+export const challengeSchema = {
+  title: { type: "string", required: true, maxLength: 120 },
+  category: { type: "string", required: true, maxLength: 60 },
+  description: { type: "string", required: true, maxLength: 5000 },
+  duration: { type: "number", min: 1, max: 365 },
+  target: { type: "string", maxLength: 200 },
+  impactMetric: { type: "string", maxLength: 100 },
+  imageUrl: { type: "string", maxLength: 2000 },
+  totalActions: { type: "number", min: 1, max: 1000 },
+  startDate: { type: "date", required: true },
+  endDate: { type: "date", required: true, after: "startDate" },
+  checkInCadence: { type: "string", enum: CHECK_IN_CADENCES },
+};
+
+export const tipSchema = {
+  title: { type: "string", required: true, maxLength: 150 },
+  category: { type: "string", required: true, maxLength: 60 },
+  content: { type: "string", required: true, maxLength: 5000 },
+};
+
+export const eventSchema = {
+  title: { type: "string", required: true, maxLength: 150 },
+  description: { type: "string", required: true, maxLength: 5000 },
+  date: { type: "date", required: true },
+  location: { type: "string", required: true, maxLength: 300 },
+  imageUrl: { type: "string", maxLength: 2000 },
+  capacity: { type: "number", min: 0, max: 100000 },
+  // stored as a GeoJSON point in `geo`
+  lat: { type: "number", min: -90, max: 90, pairedWith: "lng" },
+  lng: { type: "number", min: -180, max: 180, pairedWith: "lat" },
+};
+
+export const teamSchema = {
+  name: { type: "string", required: true, maxLength: 80 },
+  description: { type: "string", maxLength: 1000 },
+};
+
+// one progress report on a joined challenge - the amounts are added to
+// the running totals and the impact ledger, so they are capped per report
+export const progressSchema = {
+  actionsCompleted: { type: "number", min: 0, max: 100 },
+  totalActions: { type: "number", min: 1, max: 1000 },
+  co2PerAction: { type: "number", min: 0, max: 1000 },
+  plasticPerAction: { type: "number", min: 0, max: 1000 },
+};
+
+export const commentSchema = {
+  body: { type: "string", required: true, maxLength: 2000 },
+};
+
+function coerce(rule, raw) {
+  switch (rule.type) {
+    case "string":
+      return typeof raw === "string" ? raw.trim() : undefined;
+    case "number": {
+      if (typeof raw === "string" && raw.trim() === "") return undefined;
+      const num = typeof raw === "number" ? raw : Number(raw);
+      return Number.isFinite(num) ? num : undefined;
+    }
+    case "date": {
+      if (typeof raw !== "string" && !(raw instanceof Date)) return undefined;
+      const date = new Date(raw);
+      return Number.isNaN(date.getTime()) ? undefined : date;
+    }
+    case "boolean":
+      return typeof raw === "boolean" ? raw : undefined;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Validate a request body against a schema.
+ * With `partial` (PATCH routes) required fields may be left out.
+ * Returns { value, errors } where errors is [{ field, message }].
+ */
+export function validate(schema, body, { partial = false } = {}) {
+  const input = body && typeof body === "object" ? body : {};
+  const value = {};
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = input[field];
+    const missing = raw === undefined || raw === null || raw === "";
+
+    if (missing) {
+      if (rule.required && !partial) {
+        errors.push({ field, message: `${field} is required` });
+      }
+      continue;
+    }
+
+    const parsed = coerce(rule, raw);
+    if (parsed === undefined) {
+      errors.push({ field, message: `${field} must be a valid ${rule.type}` });
+      continue;
+    }
+
+    if (rule.type === "string") {
+      if (rule.required && parsed === "") {
+        errors.push({ field, message: `${field} is required` });
+        continue;
+      }
+      if (rule.maxLength && parsed.length > rule.maxLength) {
+        errors.push({
+          field,
+          message: `${field} must be at most ${rule.maxLength} characters`,
+        });
+        continue;
+      }
+    }
+
+    if (rule.type === "number") {
+      if (rule.min !== undefined && parsed < rule.min) {
+        errors.push({ field, message: `${field} must be >= ${rule.min}` });
+        continue;
+      }
+      if (rule.max !== undefined && parsed > rule.max) {
+        errors.push({ field, message: `${field} must be <= ${rule.max}` });
+        continue;
+      }
+    }
+
+    if (rule.enum && !rule.enum.includes(parsed)) {
+      errors.push({
+        field,
+        message: `${field} must be one of: ${rule.enum.join(", ")}`,
+      });
+      continue;
+    }
+
+    value[field] = parsed;
+  }
+
+  // cross-field date ordering (e.g. endDate after startDate)
+  for (const [field, rule] of Object.entries(schema)) {
+    if (!rule.after || !value[field] || !value[rule.after]) continue;
+    if (value[field] < value[rule.after]) {
+      errors.push({
+        field,
+        message: `${field} must not be before ${rule.after}`,
+      });
+    }
+  }
+
+  // fields that only make sense together (e.g. lat and lng)
+  for (const [field, rule] of Object.entries(schema)) {
+    const pair = rule.pairedWith;
+    if (!pair || value[field] === undefined || value[pair] !== undefined) {
+      continue;
+    }
+    if (!errors.some((error) => error.field === pair)) {
+      errors.push({
+        field: pair,
+        message: `${pair} is required with ${field}`,
+      });
+    }
+  }
+
+  return { value, errors };
+}
+
+// Express helper - sends the structured 400 and returns null on failure
+export function validateBody(schema, req, res, options) {
+  const { value, errors } = validate(schema, req.body, options);
+  if (errors.length > 0) {
+    res.status(400).json({ message: "Validation failed", errors });
+    return null;
+  }
+  return value;
+}